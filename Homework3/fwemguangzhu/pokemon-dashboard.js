@@ -1,532 +1,1788 @@
-// Main dashboard script that loads and visualizes Pokemon data
+// Main dashboard script that loads and visualizes a CSV dataset - Pokemon by default
 
-// Load data from CSV file
-d3.csv("pokemon_alopez247.csv").then(function(data) {
-    // Data preprocessing - convert strings to numbers/booleans
-    data.forEach(d => {
-        d.Total = +d.Total;
-        d.HP = +d.HP;
-        d.Attack = +d.Attack;
-        d.Defense = +d.Defense;
-        d.Sp_Atk = +d.Sp_Atk;
-        d.Sp_Def = +d.Sp_Def;
-        d.Speed = +d.Speed;
-        d.Generation = +d.Generation;
-        d.isLegendary = d.isLegendary === "True";
-    });
+import {parseDataFile, missingPolicies, validateDataset, escapeHtml} from "../../shared/charts/dataset.js";
+import {createModel, palettes} from "../../shared/charts/model.js";
+import {radarChart, createRadarLine, radarPoint} from "../../shared/charts/radar-chart.js";
+import {parallelChart} from "../../shared/charts/parallel-chart.js";
+import {scatterPlot} from "../../shared/charts/scatter-plot.js";
+import {sizeChart} from "../../shared/charts/size-chart.js";
+import {catchChart} from "../../shared/charts/catch-chart.js";
+import {keyboardClickable} from "../../shared/charts/accessibility.js";
+import {createUrlState} from "../../shared/charts/url-state.js";
+
+// Dataset to load: ?data=path/to/file.csv picks another CSV and ?schema=path/to/config.json
+// its schema config, which defaults to the CSV's name with .schema.json (the Pokemon
+// config is shared with Homework 2). Without a config every column type and chart role is
+// inferred from the data. An optional evolution mapping (?evolutions=, by default the
+// CSV's name with .evolutions.json) links each evolved Pokemon's id to the one it evolves from.
+const params = new URLSearchParams(window.location.search);
+const pokemonFile = "pokemon_alopez247.csv";
+const dataFile = params.get("data") || pokemonFile;
+const schemaFile = params.get("schema") || (dataFile === pokemonFile
+    ? "../../shared/pokemon_alopez247.schema.json"
+    : dataFile.replace(/\.csv$/i, "") + ".schema.json");
+const evolutionsFile = params.get("evolutions") || dataFile.replace(/\.csv$/i, "") + ".evolutions.json";
 
-    // Set dimensions and margins for charts
-    const margin = {top: 50, right: 80, bottom: 50, left: 50};
-    const width = 900 - margin.left - margin.right;
-    const height = 300 - margin.top - margin.bottom;
-    const radarRadius = Math.min(width, height) / 2;
+// Evolution mapping loaded with the data, if there is one; applies to every dataset
+// whose schema has the id column it is keyed by
+let evolutions = null;
 
-    // Color scales for consistent coloring across charts
-    const typeColors = {
-        "Normal": "#A8A878", "Fire": "#F08030", "Water": "#6890F0", "Electric": "#F8D030",
-        "Grass": "#78C850", "Ice": "#98D8D8", "Fighting": "#C03028", "Poison": "#A040A0",
-        "Ground": "#E0C068", "Flying": "#A890F0", "Psychic": "#F85888", "Bug": "#A8B820",
-        "Rock": "#B8A038", "Ghost": "#705898", "Dragon": "#7038F8", "Dark": "#705848",
-        "Steel": "#B8B8D0", "Fairy": "#EE99AC"
+// Build every chart for a dataset
+function createDashboard(data, schema) {
+    // Converted rows, helpers and the shared selection, read by every chart
+    const model = createModel(data, schema, {palette: currentPalette, evolutions});
+    const {quality, imputed, palette, typesOf, allTypes, typeColor, typeLabel, flagLabel,
+        columnLabel, rowName, rowKey, evolutionFamily, selection, selectionEvents, maxPinned, view,
+        viewChanged, updateSelection, focusPokemon, togglePin, setPinned, isPinned,
+        pinColor, matchesTypes, statValue, missingCount, hasBrushes, matchesBrushes,
+        tooltip} = model;
+    
+    // Titles from the schema
+    document.title = schema.title;
+    d3.select("h1").text(schema.title);
+    d3.select("#radar-chart .chart-title").text(`${schema.itemLabel} ${schema.categoryLabel} Distribution`);
+    d3.select("#parallel-chart .chart-title").text(`${schema.itemLabel} Stats Comparison`);
+    d3.select("#matrix-chart .chart-title").text(`${schema.categoryLabel} Combinations`);
+    d3.select("#compare-chart .chart-title").text(`Compare ${schema.itemLabel}`);
+    if (schema.height && schema.weight) {
+        d3.select("#size-chart .chart-title").text(`${columnLabel(schema.height)} vs. ${columnLabel(schema.weight)}`);
+    }
+    if (schema.catchRate && schema.total) {
+        d3.select("#catch-chart .chart-title").text(`${columnLabel(schema.catchRate)} vs. ${columnLabel(schema.total)}`);
+    }
+    
+    // Type effectiveness (Generation 6 chart): for each attacking type, the defending
+    // types it hits for other than normal damage
+    const typeChart = {
+        "Normal": {"Rock": 0.5, "Ghost": 0, "Steel": 0.5},
+        "Fire": {"Fire": 0.5, "Water": 0.5, "Grass": 2, "Ice": 2, "Bug": 2, "Rock": 0.5, "Dragon": 0.5, "Steel": 2},
+        "Water": {"Fire": 2, "Water": 0.5, "Grass": 0.5, "Ground": 2, "Rock": 2, "Dragon": 0.5},
+        "Electric": {"Water": 2, "Electric": 0.5, "Grass": 0.5, "Ground": 0, "Flying": 2, "Dragon": 0.5},
+        "Grass": {"Fire": 0.5, "Water": 2, "Grass": 0.5, "Poison": 0.5, "Ground": 2, "Flying": 0.5,
+            "Bug": 0.5, "Rock": 2, "Dragon": 0.5, "Steel": 0.5},
+        "Ice": {"Fire": 0.5, "Water": 0.5, "Grass": 2, "Ice": 0.5, "Ground": 2, "Flying": 2, "Dragon": 2, "Steel": 0.5},
+        "Fighting": {"Normal": 2, "Ice": 2, "Poison": 0.5, "Flying": 0.5, "Psychic": 0.5, "Bug": 0.5,
+            "Rock": 2, "Ghost": 0, "Dark": 2, "Steel": 2, "Fairy": 0.5},
+        "Poison": {"Grass": 2, "Poison": 0.5, "Ground": 0.5, "Rock": 0.5, "Ghost": 0.5, "Steel": 0, "Fairy": 2},
+        "Ground": {"Fire": 2, "Electric": 2, "Grass": 0.5, "Poison": 2, "Flying": 0, "Bug": 0.5, "Rock": 2, "Steel": 2},
+        "Flying": {"Electric": 0.5, "Grass": 2, "Fighting": 2, "Bug": 2, "Rock": 0.5, "Steel": 0.5},
+        "Psychic": {"Fighting": 2, "Poison": 2, "Psychic": 0.5, "Dark": 0, "Steel": 0.5},
+        "Bug": {"Fire": 0.5, "Grass": 2, "Fighting": 0.5, "Poison": 0.5, "Flying": 0.5, "Psychic": 2,
+            "Ghost": 0.5, "Dark": 2, "Steel": 0.5, "Fairy": 0.5},
+        "Rock": {"Fire": 2, "Ice": 2, "Fighting": 0.5, "Ground": 0.5, "Flying": 2, "Bug": 2, "Steel": 0.5},
+        "Ghost": {"Normal": 0, "Psychic": 2, "Ghost": 2, "Dark": 0.5},
+        "Dragon": {"Dragon": 2, "Steel": 0.5, "Fairy": 0},
+        "Dark": {"Fighting": 0.5, "Psychic": 2, "Ghost": 2, "Dark": 0.5, "Fairy": 0.5},
+        "Steel": {"Fire": 0.5, "Water": 0.5, "Electric": 0.5, "Ice": 2, "Rock": 2, "Steel": 0.5, "Fairy": 2},
+        "Fairy": {"Fire": 0.5, "Fighting": 2, "Poison": 0.5, "Dragon": 2, "Dark": 2, "Steel": 0.5}
     };
     
-    const generationColors = d3.scaleOrdinal()
-        .domain([1, 2, 3, 4, 5, 6])
-        .range(d3.schemeTableau10);
-
-    // 1. Radar Chart - Shows distribution of Pokemon types
-    function createRadarChart() {
-        // Create SVG container
-        const svg = d3.select("#radar")
-            .append("svg")
-            .attr("width", width + margin.left + margin.right)
-            .attr("height", height + margin.top + margin.bottom)
-            .append("g")
-            .attr("transform", `translate(${width/2 + margin.left}, ${height/2 + margin.top})`);
-
-        // Count how many Pokemon have each type (including secondary types)
-        const typeCounts = {};
-        data.forEach(d => {
-            if (d.Type_1) typeCounts[d.Type_1] = (typeCounts[d.Type_1] || 0) + 1;
-            if (d.Type_2) typeCounts[d.Type_2] = (typeCounts[d.Type_2] || 0) + 1;
-        });
-        
-        // Filter out undefined types and sort alphabetically
-        const types = Object.keys(typeCounts).filter(t => t).sort();
-        const maxCount = d3.max(Object.values(typeCounts));
-        
-        // Radial scale for the radar chart
-        const rScale = d3.scaleLinear()
-            .domain([0, maxCount])
-            .range([0, radarRadius]);
-        
-        // Calculate angle for each type
-        const angleSlice = Math.PI * 2 / types.length;
+    const attackTypes = Object.keys(typeChart);
+    
+    // Matchups only make sense when every category value is a Pokemon type
+    const hasTypeChart = allTypes.length > 0 && allTypes.every(type => type in typeChart);
+    
+    // Damage multiplier of an attacking type against a Pokemon's one or two types
+    function typeMultiplier(attackType, d) {
+        return typesOf(d).reduce((multiplier, type) => {
+            const matchup = typeChart[attackType];
+            return multiplier * (type in matchup ? matchup[type] : 1);
+        }, 1);
+    }
+    
+    // Multipliers as they are usually written: 4x, 2x, 1/2x, 1/4x, 0x
+    function multiplierLabel(multiplier) {
+        const text = {0.25: "\u00bc", 0.5: "\u00bd"}[multiplier] || multiplier;
+        return `${text}\u00d7`;
+    }
+    
+    // The stats shown on the stat radars, in order (the six base stats for Pokemon)
+    const baseStats = schema.stats;
+    
+    // Highest base stat in the data, shared by the stat radars so they compare fairly
+    const maxBaseStat = d3.max(data, d => d3.max(baseStats, stat => d[stat]));
+    
+    // Grid rings labeled with their stat value, spokes and axis labels of a stat radar;
+    // returns the label selection so callers can fill in values
+    function drawStatRadarGrid(svg, statScale) {
+        const radius = statScale.range()[1];
         
-        // Draw axes for each type
-        types.forEach((type, i) => {
-            const angle = angleSlice * i - Math.PI / 2;
-            const lineLength = radarRadius * 0.95;
+        statScale.ticks(5).filter(t => t > 0).forEach(tick => {
+            svg.append("circle")
+                .attr("r", statScale(tick))
+                .attr("fill", "none")
+                .attr("stroke", "#ddd")
+                .attr("stroke-width", 0.5);
             
-            // Draw axis line
+            svg.append("text")
+                .attr("x", 2)
+                .attr("y", -statScale(tick) - 2)
+                .text(tick)
+                .style("font-size", "8px")
+                .style("fill", "#999");
+        });
+        
+        baseStats.forEach((stat, i) => {
+            const [x2, y2] = radarPoint(i, baseStats.length, radius);
             svg.append("line")
                 .attr("x1", 0)
                 .attr("y1", 0)
-                .attr("x2", Math.cos(angle) * lineLength)
-                .attr("y2", Math.sin(angle) * lineLength)
+                .attr("x2", x2)
+                .attr("y2", y2)
                 .attr("stroke", "#ddd")
                 .attr("stroke-width", 1);
-            
-            // Add type label at the end of each axis
-            svg.append("text")
-                .attr("x", Math.cos(angle) * (lineLength + 20))
-                .attr("y", Math.sin(angle) * (lineLength + 20))
-                .text(type)
-                .attr("fill", typeColors[type] || "#000")
-                .style("font-size", "12px")
-                .style("text-anchor", "middle");
-            
-            // Add concentric circles as grid lines
-            for (let level = 1; level <= 3; level++) {
-                const levelFactor = radarRadius * level / 3;
-                svg.append("circle")
-                    .attr("cx", 0)
-                    .attr("cy", 0)
-                    .attr("r", levelFactor)
-                    .attr("fill", "none")
-                    .attr("stroke", "#ddd")
-                    .attr("stroke-width", "0.5");
-            }
         });
         
-        // Create radar line generator
-        const radarLine = d3.lineRadial()
-            .angle((d, i) => angleSlice * i - Math.PI / 2)
-            .radius(d => rScale(d.count))
-            .curve(d3.curveLinearClosed);
-        
-        // Draw the radar shape
-        svg.append("path")
-            .datum(types.map(t => ({count: typeCounts[t]})))
-            .attr("d", radarLine)
-            .attr("fill", "rgba(70, 130, 180, 0.2)")
-            .attr("stroke", "steelblue")
-            .attr("stroke-width", 2);
-        
-        // Add interactive points at each type's value
-        svg.selectAll(".type-point")
-            .data(types)
+        return svg.selectAll(".stat-label")
+            .data(baseStats)
             .enter()
-            .append("circle")
-            .attr("class", "type-point")
-            .attr("cx", (d, i) => Math.cos(angleSlice * i - Math.PI / 2) * rScale(typeCounts[d]))
-            .attr("cy", (d, i) => Math.sin(angleSlice * i - Math.PI / 2) * rScale(typeCounts[d]))
+            .append("text")
+            .attr("class", "stat-label")
+            .attr("x", (d, i) => radarPoint(i, baseStats.length, radius + 18)[0])
+            .attr("y", (d, i) => radarPoint(i, baseStats.length, radius + 18)[1] + 4)
+            .style("font-size", "10px")
+            .style("text-anchor", "middle")
+            .text(stat => columnLabel(stat));
+    }
+    
+// 4. Detail Card - every field of one Pokemon plus a stat radar
+function createDetailCard() {
+    const card = d3.select("#detail-card")
+        .style("display", "none");
+    
+    const header = card.append("div")
+        .attr("class", "detail-card-header");
+    
+    const title = header.append("span")
+        .attr("class", "detail-card-title");
+    
+    header.append("button")
+        .attr("class", "detail-card-close")
+        .attr("title", "Close")
+        .text("\u00d7")
+        .on("click", () => focusPokemon(null));
+    
+    const badges = card.append("div")
+        .attr("class", "detail-card-types");
+    
+    const pinButton = card.append("button")
+        .attr("class", "detail-card-pin")
+        .on("click", () => {
+            if (selection.focus) togglePin(selection.focus);
+        });
+    
+    // Button text follows whether the shown Pokemon is pinned and whether the tray is full
+    function updatePinButton() {
+        const d = selection.focus;
+        if (!d) return;
+        const full = !isPinned(d) && selection.pinned.length >= maxPinned;
+        pinButton
+            .text(isPinned(d) ? "Remove from compare" : full ? `Compare tray full (${maxPinned})` : "Add to compare")
+            .property("disabled", full);
+    }
+    
+    selectionEvents.on("pin.card", updatePinButton);
+    
+    // Six-axis stat radar, built like the type radar
+    const statRadius = 75;
+    const statSize = statRadius * 2 + 70;
+    const statSvg = card.append("svg")
+        .attr("class", "stat-radar")
+        .attr("width", statSize)
+        .attr("height", statSize)
+        .append("g")
+        .attr("transform", `translate(${statSize / 2}, ${statSize / 2})`);
+    
+    const statScale = d3.scaleLinear()
+        .domain([0, maxBaseStat])
+        .range([0, statRadius]);
+    
+    const statLabels = drawStatRadarGrid(statSvg, statScale);
+    
+    const statLine = createRadarLine(baseStats.length, d => statScale(d));
+    
+    const statArea = statSvg.append("path")
+        .attr("class", "stat-area")
+        .attr("stroke-width", 2);
+    
+    // Evolution family by stage, each name showing that Pokemon's details
+    const evolution = card.append("div")
+        .attr("class", "detail-card-evolution");
+    
+    function showEvolution(d) {
+        const {members, links} = evolutionFamily(d);
+        evolution.style("display", links.length ? null : "none")
+            .selectAll("*")
+            .remove();
+        if (!links.length) return;
+        
+        const stageOf = new Map([[members[0], 0]]);
+        links.forEach(([from, into]) => stageOf.set(into, stageOf.get(from) + 1));
+        const stages = d3.groups(members, member => stageOf.get(member));
+        
+        evolution.append("span")
+            .attr("class", "evolution-title")
+            .text("Evolution:");
+        
+        stages.forEach(([stage, stageMembers]) => {
+            if (stage > 0) evolution.append("span").text(" \u2192 ");
+            stageMembers.forEach((member, i) => {
+                if (i > 0) evolution.append("span").text(" / ");
+                evolution.append("button")
+                    .attr("class", "evolution-member")
+                    .classed("current", member === d)
+                    .text(rowName(member))
+                    .on("click", () => focusPokemon(member));
+            });
+        });
+    }
+    
+    // Weaknesses, resistances and immunities from the type chart
+    const matchups = card.append("div")
+        .attr("class", "detail-card-matchups");
+    
+    const matchupGroups = [
+        {label: "Weak to", test: m => m > 1},
+        {label: "Resists", test: m => m > 0 && m < 1},
+        {label: "Immune to", test: m => m === 0}
+    ];
+    
+    const fieldTable = card.append("table")
+        .attr("class", "detail-card-fields");
+    
+    const yesNo = value => value ? "Yes" : "No";
+    
+    // Blank values show as a dash, booleans as Yes/No
+    function formatValue(column, value) {
+        if (schema.boolean.includes(column)) return yesNo(value);
+        if (value === "" || (typeof value === "number" && isNaN(value))) return "\u2013";
+        return String(value).replace(/_/g, " ");
+    }
+    
+    // Label/value pairs for every CSV field
+    function fields(d) {
+        return schema.columns
+            .filter(column => column !== schema.name)
+            .map(column => [columnLabel(column), formatValue(column, d[column])]);
+    }
+    
+    function showDetails(d) {
+        card.style("display", d ? null : "none");
+        if (!d) return;
+        
+        title.text(rowName(d));
+        updatePinButton();
+        
+        badges.selectAll(".type-badge")
+            .data(typesOf(d))
+            .join("span")
+            .attr("class", "type-badge")
+            .style("background-color", typeColor)
+            .text(type => type);
+        
+        showEvolution(d);
+        
+        statLabels.text(stat => `${columnLabel(stat)} ${d[stat]}`);
+        
+        const rows = matchups.selectAll(".matchup-row")
+            .data(hasTypeChart ? matchupGroups : [])
+            .join(enter => {
+                const row = enter.append("div").attr("class", "matchup-row");
+                row.append("span").attr("class", "matchup-label").text(group => group.label);
+                row.append("span").attr("class", "matchup-types");
+                return row;
+            });
+        
+        rows.select(".matchup-types")
+            .selectAll(".type-badge")
+            .data(group => attackTypes
+                .map(type => ({type, multiplier: typeMultiplier(type, d)}))
+                .filter(m => group.test(m.multiplier)))
+            .join("span")
+            .attr("class", "type-badge")
+            .style("background-color", m => typeColor(m.type))
+            .text(m => m.multiplier === 0 ? m.type : `${m.type} ${multiplierLabel(m.multiplier)}`);
+        
+        rows.style("display", function() {
+            return this.querySelector(".type-badge") ? null : "none";
+        });
+        
+        const color = typesOf(d).length ? typeColor(typesOf(d)[0]) : "steelblue";
+        statArea
+            .datum(baseStats.map(stat => statValue(d, stat) || 0))
+            .transition()
+            .duration(500)
+            .attr("d", statLine)
+            .attr("fill", color)
+            .attr("fill-opacity", 0.3)
+            .attr("stroke", color);
+        
+        fieldTable.selectAll("tr")
+            .data(fields(d))
+            .join("tr")
+            .html(([label, value]) => `<th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td>`);
+    }
+    
+    selectionEvents.on("focus.card", showDetails);
+    
+    // Imputed stats change with the missing-data policy
+    let cardPolicy = selection.missing;
+    selectionEvents.on("change.card", () => {
+        if (selection.missing === cardPolicy) return;
+        cardPolicy = selection.missing;
+        if (selection.focus) showDetails(selection.focus);
+    });
+}
+
+// 5. Compare Tray - overlaid stat radars and a side-by-side table for pinned Pokemon
+function createComparePanel() {
+    const container = d3.select("#compare");
+    
+    // Add Pokemon by name, or clear the tray
+    const controls = container.append("div")
+        .attr("class", "compare-controls");
+    
+    controls.append("label")
+        .attr("for", "compare-search")
+        .text(`Add ${schema.itemLabel}:`);
+    
+    const search = controls.append("input")
+        .attr("id", "compare-search")
+        .attr("list", "compare-names")
+        .attr("placeholder", "Type a name...")
+        .on("change", function() {
+            const d = data.find(p => String(rowName(p)).toLowerCase() === this.value.trim().toLowerCase());
+            if (d && !isPinned(d)) togglePin(d);
+            this.value = "";
+        });
+    
+    controls.append("datalist")
+        .attr("id", "compare-names")
+        .selectAll("option")
+        .data(data)
+        .enter()
+        .append("option")
+        .attr("value", rowName);
+    
+    controls.append("button")
+        .attr("class", "compare-clear")
+        .text("Clear")
+        .on("click", () => setPinned([]));
+    
+    const chips = container.append("div")
+        .attr("class", "compare-chips");
+    
+    const emptyMessage = container.append("div")
+        .attr("class", "compare-empty")
+        .text(`Pin up to ${maxPinned} ${schema.itemLabel} to compare them: use "Add to compare" in the detail card, ` +
+            "shift-click a scatter point or parallel line, or type a name above.");
+    
+    const body = container.append("div")
+        .attr("class", "compare-body");
+    
+    // Shared radar with one polygon per pinned Pokemon
+    const radius = 110;
+    const radarSize = radius * 2 + 80;
+    const radar = body.append("svg")
+        .attr("class", "compare-radar")
+        .attr("width", radarSize)
+        .attr("height", radarSize)
+        .append("g")
+        .attr("transform", `translate(${radarSize / 2}, ${radarSize / 2})`);
+    
+    const statScale = d3.scaleLinear()
+        .domain([0, maxBaseStat])
+        .range([0, radius]);
+    
+    drawStatRadarGrid(radar, statScale);
+    
+    const statLine = createRadarLine(baseStats.length, d => statScale(d));
+    const polygons = radar.append("g").attr("class", "compare-polygons");
+    const vertices = radar.append("g").attr("class", "compare-vertices");
+    
+    // Stat table, one column per pinned Pokemon
+    const table = body.append("table")
+        .attr("class", "compare-table");
+    const tableHead = table.append("thead");
+    const tableBody = table.append("tbody");
+    
+    const tableStats = [...baseStats, schema.total].filter(Boolean);
+    const signed = d3.format("+");
+    
+    function updateCompare() {
+        const pinned = selection.pinned;
+        
+        emptyMessage.style("display", pinned.length ? "none" : null);
+        body.style("display", pinned.length ? null : "none");
+        
+        chips.selectAll(".compare-chip")
+            .data(pinned, rowKey)
+            .join(enter => {
+                const chip = enter.append("span").attr("class", "compare-chip");
+                chip.append("span").attr("class", "compare-chip-name")
+                    .on("click", (event, d) => focusPokemon(d));
+                chip.append("span").attr("class", "compare-chip-remove")
+                    .text("\u00d7")
+                    .on("click", (event, d) => togglePin(d));
+                return chip;
+            })
+            .style("border-color", pinColor)
+            .select(".compare-chip-name")
+            .text(rowName);
+        
+        // Polygons grow out of the center when added
+        polygons.selectAll(".compare-polygon")
+            .data(pinned, rowKey)
+            .join(
+                enter => enter.append("path")
+                    .attr("class", "compare-polygon")
+                    .attr("d", statLine(baseStats.map(() => 0))),
+                update => update,
+                exit => exit.transition()
+                    .duration(300)
+                    .style("opacity", 0)
+                    .remove()
+            )
+            .attr("fill", pinColor)
+            .attr("fill-opacity", 0.15)
+            .attr("stroke", pinColor)
+            .attr("stroke-width", 2)
+            .transition()
+            .duration(500)
+            .attr("d", d => statLine(baseStats.map(stat => statValue(d, stat) || 0)));
+        
+        // One dot per Pokemon per stat, each with its own tooltip
+        const points = pinned.flatMap(d => baseStats.map((stat, i) => ({pokemon: d, stat, i})));
+        vertices.selectAll(".compare-vertex")
+            .data(points, p => `${rowKey(p.pokemon)}:${p.stat}`)
+            .join("circle")
+            .attr("class", "compare-vertex")
             .attr("r", 4)
-            .attr("fill", d => typeColors[d] || "#000")
-            .on("mouseover", function(event, d) {
+            .attr("fill", p => pinColor(p.pokemon))
+            .on("mouseover", function(event, p) {
                 d3.select(this).attr("r", 6);
-                d3.select("#tooltip")
+                tooltip
                     .style("opacity", 1)
-                    .html(`<strong>${d}</strong><br>Count: ${typeCounts[d]}`)
+                    .html(`<strong>${escapeHtml(rowName(p.pokemon))}</strong><br>` +
+                        `${escapeHtml(columnLabel(p.stat))}: ${p.pokemon[p.stat]}`)
                     .style("left", (event.pageX + 10) + "px")
                     .style("top", (event.pageY - 10) + "px");
             })
             .on("mouseout", function() {
                 d3.select(this).attr("r", 4);
-                d3.select("#tooltip").style("opacity", 0);
+                tooltip.style("opacity", 0);
+            })
+            .transition()
+            .duration(500)
+            .attr("cx", p => radarPoint(p.i, baseStats.length, statScale(statValue(p.pokemon, p.stat) || 0))[0])
+            .attr("cy", p => radarPoint(p.i, baseStats.length, statScale(statValue(p.pokemon, p.stat) || 0))[1]);
+        
+        // Differences are relative to the first pinned Pokemon; the best value is bold
+        const baseline = pinned[0];
+        
+        tableHead.selectAll("tr")
+            .data([pinned])
+            .join("tr")
+            .selectAll("th")
+            .data(["Stat", ...pinned])
+            .join("th")
+            .style("border-bottom-color", (d, i) => i ? pinColor(d) : null)
+            .text((d, i) => i ? rowName(d) : "Stat");
+        
+        tableBody.selectAll("tr")
+            .data([...(schema.categories.length ? ["Type"] : []), ...tableStats])
+            .join("tr")
+            .html(row => {
+                if (row === "Type") {
+                    return `<th>${escapeHtml(schema.categoryLabel)}</th>` +
+                        pinned.map(d => `<td>${escapeHtml(typeLabel(d))}</td>`).join("");
+                }
+                const best = d3.max(pinned, d => d[row]);
+                return `<th>${escapeHtml(columnLabel(row))}</th>` + pinned.map(d => {
+                    const diff = d[row] - baseline[row];
+                    const diffText = d === baseline || diff === 0 ? "" :
+                        `<span class="compare-diff ${diff > 0 ? "up" : "down"}">${signed(diff)}</span>`;
+                    return `<td class="${pinned.length > 1 && d[row] === best ? "best" : ""}">` +
+                        `${d[row]}${diffText}</td>`;
+                }).join("");
             });
     }
-
-// 2. Parallel Coordinates Plot - Compares stats across Pokemon
-function createParallelChart() {
-    // Create SVG container
-    const svg = d3.select("#parallel")
-        .append("svg")
-        .attr("width", width + margin.left + margin.right)
-        .attr("height", height + margin.top + margin.bottom + 40)
-        .append("g")
-        .attr("transform", `translate(${margin.left}, ${margin.top})`);
     
-    // Stats dimensions to display
-    const dimensions = ["HP", "Attack", "Defense", "Sp_Atk", "Sp_Def", "Speed"];
+    selectionEvents.on("pin.compare", updateCompare);
     
-    // Create scales for each dimension
-    const y = {};
-    dimensions.forEach(dim => {
-        y[dim] = d3.scaleLinear()
-            .domain(d3.extent(data, d => +d[dim]))
-            .range([height, 0]);
+    // Imputed stats change with the missing-data policy
+    let comparePolicy = selection.missing;
+    selectionEvents.on("change.compare", () => {
+        if (selection.missing === comparePolicy) return;
+        comparePolicy = selection.missing;
+        updateCompare();
     });
+    updateCompare();
+}
+
+// 6. Type Combination Matrix - Type_1 x Type_2 heatmap
+function createTypeMatrix() {
+    // Needs two category columns to cross
+    if (schema.categories.length < 2) {
+        d3.select("#matrix-chart").style("display", "none");
+        return;
+    }
+    
+    const container = d3.select("#matrix");
+    const [primaryColumn, secondaryColumn] = schema.categories;
+    
+    // Metric selector - the mean total and flag share need those schema columns
+    const metrics = [
+        {key: "count", label: "Count", format: d3.format("d"),
+            value: rows => rows.length, color: d3.interpolateBlues}
+    ];
+    if (schema.total) {
+        metrics.push({key: "meanTotal", label: `Mean ${columnLabel(schema.total)}`, format: d3.format(".0f"),
+            value: rows => d3.mean(rows, d => d[schema.total]), color: d3.interpolateViridis});
+    }
+    if (schema.flag) {
+        metrics.push({key: "legendary", label: `Share ${flagLabel(true).toLowerCase()}`, format: d3.format(".0%"),
+            value: rows => d3.mean(rows, d => d[schema.flag] ? 1 : 0), color: d3.interpolateOranges});
+    }
+    let metric = metrics[0];
+    
+    const controls = container.append("div")
+        .attr("class", "matrix-controls");
     
-    // X scale for positioning dimensions
-    const x = d3.scalePoint()
-        .domain(dimensions)
-        .range([0, width])
-        .padding(0.5);
+    controls.append("label")
+        .attr("for", "matrix-metric")
+        .text("Metric:");
     
-    // Draw axes for each dimension
-    svg.selectAll(".dimension")
-        .data(dimensions)
+    controls.append("select")
+        .attr("id", "matrix-metric")
+        .on("change", function() {
+            metric = metrics.find(m => m.key === this.value);
+            updateMatrix();
+        })
+        .selectAll("option")
+        .data(metrics)
         .enter()
-        .append("g")
-        .attr("class", "dimension")
-        .attr("transform", d => `translate(${x(d)})`)
-        .each(function(d) {
-            d3.select(this).call(d3.axisLeft(y[d]));
-            d3.select(this).append("text")
-                .attr("y", -15)
-                .attr("text-anchor", "middle")
-                .text(d)
-                .style("font-size", "12px");
-        });
+        .append("option")
+        .attr("value", d => d.key)
+        .text(d => d.label);
+    
+    const clearButton = controls.append("button")
+        .attr("class", "matrix-clear")
+        .text("Clear pairing")
+        .on("click", () => updateSelection({typePair: null}));
+    
+    const primaryTypes = [...new Set(data.map(d => d[primaryColumn]))].filter(Boolean).sort();
+    const secondaryTypes = [...new Set(data.map(d => d[secondaryColumn]))].filter(Boolean).sort().concat("None");
+    
+    const cellWidth = 30;
+    const cellHeight = 20;
+    const matrixMargin = {top: 70, right: 120, bottom: 20, left: 80};
+    const matrixWidth = cellWidth * secondaryTypes.length;
+    const matrixHeight = cellHeight * primaryTypes.length;
     
-    // Line generator for the parallel coordinates
-    const line = d3.line()
-        .defined(d => !isNaN(d.value))
-        .x(d => x(d.name))
-        .y(d => y[d.name](d.value));
+    const svg = container.append("svg")
+        .attr("width", matrixWidth + matrixMargin.left + matrixMargin.right)
+        .attr("height", matrixHeight + matrixMargin.top + matrixMargin.bottom)
+        .append("g")
+        .attr("transform", `translate(${matrixMargin.left}, ${matrixMargin.top})`);
     
-    // Sample data for better performance with many data points
-    const sampleData = data.length > 200 ? data.filter((d, i) => i % 3 === 0) : data;
+    const x = d3.scaleBand()
+        .domain(secondaryTypes)
+        .range([0, matrixWidth])
+        .padding(0.05);
     
-    // Create a group for all the lines
-    const linesGroup = svg.append("g")
-        .attr("class", "lines-group");
+    const y = d3.scaleBand()
+        .domain(primaryTypes)
+        .range([0, matrixHeight])
+        .padding(0.05);
     
-    // Draw all lines without hover interactions
-    const lines = linesGroup.selectAll(".line")
-        .data(sampleData)
+    // Axis labels in the type colors
+    svg.append("g")
+        .selectAll("text")
+        .data(primaryTypes)
         .enter()
-        .append("path")
-        .attr("class", "line")
-        .attr("d", d => line(dimensions.map(p => ({name: p, value: +d[p]}))))
-        .attr("stroke", d => generationColors(d.Generation))
-        .attr("stroke-width", 1)
-        .attr("stroke-opacity", 0.5)
-        .attr("fill", "none");
-    
-    // Store active brushes
-    let activeBrushes = {};
-    
-    // Add brush groups for each dimension
-    const brushGroups = svg.selectAll(".brush")
-        .data(dimensions)
+        .append("text")
+        .attr("x", -6)
+        .attr("y", d => y(d) + y.bandwidth() / 2 + 4)
+        .attr("text-anchor", "end")
+        .attr("fill", typeColor)
+        .style("font-size", "11px")
+        .style("font-weight", "bold")
+        .text(d => d);
+    
+    svg.append("g")
+        .selectAll("text")
+        .data(secondaryTypes)
         .enter()
-        .append("g")
-        .attr("class", "brush")
-        .attr("transform", d => `translate(${x(d) - 10}, 0)`);
-    
-    // Create brushes for each dimension
-    brushGroups.each(function(dim) {
-        d3.select(this).call(
-            d3.brushY()
-                .extent([[-10, 0], [20, height]])
-                .on("brush", brushed)
-                .on("end", brushEnded)
-        );
-    });
+        .append("text")
+        .attr("transform", d => `translate(${x(d) + x.bandwidth() / 2 + 4}, -6) rotate(-50)`)
+        .attr("fill", d => d === "None" ? "#777" : typeColor(d))
+        .style("font-size", "11px")
+        .style("font-weight", "bold")
+        .text(d => d);
+    
+    svg.append("text")
+        .attr("x", -matrixMargin.left + 5)
+        .attr("y", -matrixMargin.top + 15)
+        .style("font-size", "11px")
+        .style("fill", "#555")
+        .text("Primary \u2193  Secondary \u2192");
+    
+    const cellsGroup = svg.append("g")
+        .attr("class", "matrix-cells");
+    
+    // Color legend for the current metric
+    const legendWidth = 12;
+    const legendHeight = 150;
+    const legend = svg.append("g")
+        .attr("transform", `translate(${matrixWidth + 30}, 0)`);
+    
+    const legendTitle = legend.append("text")
+        .attr("y", -10)
+        .style("font-size", "11px")
+        .style("font-weight", "bold");
     
-    // Brush event handler
-    function brushed(event, dim) {
-        if (!event.selection) return;
+    const gradient = svg.append("defs")
+        .append("linearGradient")
+        .attr("id", "matrix-gradient")
+        .attr("x1", "0%")
+        .attr("y1", "100%")
+        .attr("x2", "0%")
+        .attr("y2", "0%");
+    
+    legend.append("rect")
+        .attr("width", legendWidth)
+        .attr("height", legendHeight)
+        .attr("fill", "url(#matrix-gradient)");
+    
+    const legendAxis = legend.append("g")
+        .attr("transform", `translate(${legendWidth}, 0)`);
+    
+    function updateMatrix() {
+        const rows = hasBrushes() ? data.filter(matchesBrushes) : data;
+        const pairs = d3.group(rows, d => d[primaryColumn], d => d[secondaryColumn] || "None");
+        
+        const cells = primaryTypes.flatMap(primary => secondaryTypes.map(secondary => {
+            const members = (pairs.get(primary) && pairs.get(primary).get(secondary)) || [];
+            return {
+                primary,
+                secondary,
+                members,
+                value: members.length ? metric.value(members) : null
+            };
+        }));
+        
+        const values = cells.filter(c => c.value != null).map(c => c.value);
+        const color = d3.scaleSequential(metric.color)
+            .domain(metric.key === "count" ? [0, d3.max(values) || 1] : d3.extent(values));
+        
+        const pair = selection.typePair;
+        const isPicked = c => pair && pair[0] === c.primary && pair[1] === c.secondary;
         
-        // Store the brush extent (inverted because y-scale is inverted)
-        const [y0, y1] = event.selection;
-        activeBrushes[dim] = [y[dim].invert(y1), y[dim].invert(y0)];
+        cellsGroup.selectAll(".matrix-cell")
+            .data(cells, c => `${c.primary}:${c.secondary}`)
+            .join(enter => enter.append("rect")
+                .attr("class", "matrix-cell")
+                .attr("x", c => x(c.secondary))
+                .attr("y", c => y(c.primary))
+                .attr("width", x.bandwidth())
+                .attr("height", y.bandwidth())
+                .attr("rx", 2)
+                .on("mouseover", function(event, c) {
+                    tooltip
+                        .style("opacity", 1)
+                        .html(`<strong>${escapeHtml(c.secondary === "None" ? c.primary : `${c.primary}/${c.secondary}`)}</strong><br>` +
+                            `Count: ${c.members.length}<br>` +
+                            (c.members.length ? `${metric.label}: ${metric.format(c.value)}<br>` : "") +
+                            (c.members.length ? "<em>Click to filter</em>" : ""))
+                        .style("left", (event.pageX + 10) + "px")
+                        .style("top", (event.pageY - 10) + "px");
+                })
+                .on("mouseout", () => tooltip.style("opacity", 0))
+                .on("click", (event, c) => {
+                    if (!c.members.length) return;
+                    // Clicking the picked cell again clears the pairing
+                    updateSelection({typePair: isPicked(c) ? null : [c.primary, c.secondary]});
+                }))
+            .style("cursor", c => c.members.length ? "pointer" : null)
+            .attr("stroke", c => isPicked(c) ? "#222" : null)
+            .attr("stroke-width", 2)
+            .transition()
+            .duration(500)
+            .attr("fill", c => c.value == null ? "#f2f2f2" : color(c.value));
+        
+        clearButton.property("disabled", !pair);
         
-        highlightBrushedLines();
+        // Legend gradient and axis for the current metric
+        legendTitle.text(metric.label);
+        gradient.selectAll("stop")
+            .data(d3.range(0, 1.01, 0.1))
+            .join("stop")
+            .attr("offset", t => `${t * 100}%`)
+            .attr("stop-color", t => color(color.domain()[0] + t * (color.domain()[1] - color.domain()[0])));
+        legendAxis.transition()
+            .duration(500)
+            .call(d3.axisRight(d3.scaleLinear().domain(color.domain()).range([legendHeight, 0]))
+                .ticks(5)
+                .tickFormat(metric.format));
     }
     
-    // Brush ended event handler
-    function brushEnded(event, dim) {
-        if (!event.selection) {
-            delete activeBrushes[dim];
-        }
-        highlightBrushedLines();
+    updateMatrix();
+    
+    // Follow brushes and show which pairing is picked
+    selectionEvents.on("change.matrix", updateMatrix);
+}
+
+// 7. Team Coverage - how the pinned team takes each attacking type
+function createTeamCoverage() {
+    // Only for datasets whose categories are Pokemon types
+    if (!hasTypeChart) {
+        d3.select("#coverage-chart").style("display", "none");
+        return;
     }
     
-    // Highlight lines that pass all active brushes
-    function highlightBrushedLines() {
-        lines
-            .attr("stroke-opacity", d => isBrushed(d) ? 0.8 : 0.2)
-            .attr("stroke-width", d => isBrushed(d) ? 2 : 1);
+    const container = d3.select("#coverage");
+    
+    const emptyMessage = container.append("div")
+        .attr("class", "coverage-empty")
+        .text(`The team is the Pokemon pinned in the compare tray (up to ${maxPinned}). ` +
+            "Pin some to see which attacking types the team handles.");
+    
+    const summary = container.append("div")
+        .attr("class", "coverage-summary");
+    
+    const table = container.append("table")
+        .attr("class", "coverage-table");
+    const tableHead = table.append("thead");
+    const tableBody = table.append("tbody");
+    
+    // An attacking type is handled when some member resists it and at least as many
+    // members resist it as are weak to it; it is exposed when more members are weak
+    function coverageStatus(row) {
+        if (row.weak > row.resist) return "exposed";
+        if (row.resist > 0) return "handled";
+        return "neutral";
     }
     
-    // Check if a data point passes all active brushes
-    function isBrushed(d) {
-        if (Object.keys(activeBrushes).length === 0) return false;
+    const statusLabels = {exposed: "Exposed", handled: "Handled", neutral: "Neutral"};
+    
+    function updateCoverage() {
+        const team = selection.pinned;
+        
+        emptyMessage.style("display", team.length ? "none" : null);
+        summary.style("display", team.length ? null : "none");
+        table.style("display", team.length ? null : "none");
         
-        return Object.entries(activeBrushes).every(([dim, [min, max]]) => {
-            const value = +d[dim];
-            return value >= min && value <= max;
+        const rows = attackTypes.map(type => {
+            const multipliers = team.map(d => typeMultiplier(type, d));
+            const row = {
+                type,
+                multipliers,
+                weak: multipliers.filter(m => m > 1).length,
+                resist: multipliers.filter(m => m < 1).length
+            };
+            row.status = coverageStatus(row);
+            return row;
         });
+        
+        const exposed = rows.filter(row => row.status === "exposed").map(row => row.type);
+        summary.html(`<strong>Handles ${rows.filter(row => row.status === "handled").length} ` +
+            `of ${attackTypes.length}</strong> attacking types. ` +
+            (exposed.length ? `Exposed to: ${escapeHtml(exposed.join(", "))}.` : "No attacking type leaves the team exposed."));
+        
+        tableHead.selectAll("tr")
+            .data([team])
+            .join("tr")
+            .selectAll("th")
+            .data(["Attack", ...team, "Weak", "Resist", "Status"])
+            .join("th")
+            .style("border-bottom-color", d => typeof d === "object" ? pinColor(d) : null)
+            .style("cursor", d => typeof d === "object" ? "pointer" : null)
+            .text(d => typeof d === "object" ? rowName(d) : d)
+            .on("click", (event, d) => {
+                if (typeof d === "object") focusPokemon(d);
+            });
+        
+        tableBody.selectAll("tr")
+            .data(rows)
+            .join("tr")
+            .attr("class", row => `coverage-${row.status}`)
+            .html(row => `<th><span class="type-badge" style="background-color: ${typeColor(row.type)}">` +
+                `${escapeHtml(row.type)}</span></th>` +
+                row.multipliers.map(m => {
+                    const kind = m === 0 ? "immune" : m > 1 ? "weak" : m < 1 ? "resist" : "";
+                    return `<td class="coverage-cell ${kind}">${m === 1 ? "" : multiplierLabel(m)}</td>`;
+                }).join("") +
+                `<td>${row.weak}</td><td>${row.resist}</td>` +
+                `<td class="coverage-status">${statusLabels[row.status]}</td>`);
     }
     
-    // Add reset button to clear all brushes
-    const resetButton = svg.append("g")
-        .attr("class", "reset-button")
-        .attr("transform", `translate(${width - 100}, ${height + 20})`)
-        .style("cursor", "pointer")
-        .on("click", resetAllBrushes);
+    selectionEvents.on("pin.coverage", updateCoverage);
+    updateCoverage();
+}
+
+// 8. Data Quality - missing-data policy and how many values each column is missing
+function createDataQualityPanel() {
+    const container = d3.select("#data-quality");
+    const affected = schema.numeric.filter(column => missingCount(column) > 0);
     
-    resetButton.append("rect")
-        .attr("width", 80)
-        .attr("height", 25)
-        .attr("rx", 5)
-        .attr("fill", "#e0e0e0")
-        .attr("stroke", "#999");
+    const controls = container.append("div")
+        .attr("class", "quality-controls");
     
-    resetButton.append("text")
-        .attr("x", 40)
-        .attr("y", 16)
-        .attr("text-anchor", "middle")
-        .text("Reset Brushes")
-        .style("font-size", "12px");
+    controls.append("label")
+        .attr("for", "missing-policy")
+        .text("Missing values:");
+    
+    controls.append("select")
+        .attr("id", "missing-policy")
+        .on("change", function() {
+            updateSelection({missing: this.value});
+        })
+        .selectAll("option")
+        .data(missingPolicies)
+        .enter()
+        .append("option")
+        .attr("value", d => d.key)
+        .property("selected", d => d.key === selection.missing)
+        .text(d => d.label);
+    
+    const list = container.append("ul")
+        .attr("class", "quality-list");
+    
+    // What the policy does to each affected column
+    function effect(column) {
+        const policy = selection.missing;
+        if (schema.notApplicable.includes(column)) return "blank means not applicable, so not imputed";
+        if (policy === "mean" || policy === "median") {
+            return `imputed as ${d3.format(".4~g")(imputed[column][policy])}`;
+        }
+        return policy === "band" ? "shown in the missing band" : "excluded";
+    }
+    
+    function updateQualityPanel() {
+        controls.select("select").property("value", selection.missing);
+        if (affected.length === 0) {
+            list.html("<li>No missing or malformed numeric values.</li>");
+            return;
+        }
+        list.selectAll("li")
+            .data(affected)
+            .join("li")
+            .text(column => {
+                const {missing, malformed} = quality[column];
+                const share = d3.format(".1%")(missingCount(column) / data.length);
+                return `${columnLabel(column)}: ${missing} missing` +
+                    (malformed ? `, ${malformed} malformed` : "") + ` (${share}) \u2013 ${effect(column)}`;
+            });
+    }
+    
+    updateQualityPanel();
+    selectionEvents.on("change.quality", updateQualityPanel);
+}
+
+// 10. Export - SVG/PNG of each chart panel and CSV/JSON of the rows it shows
+function createExportControls() {
+    // Computed styles copied onto the exported SVG, so it looks the same outside the page
+    const styleProperties = [
+        "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+        "opacity", "display", "visibility", "font-family", "font-size", "font-weight", "text-anchor",
+        "dominant-baseline"
+    ];
+    const titleHeight = 30;
+    
+    // Rows behind a panel - the pinned ones for the compare and coverage panels,
+    // otherwise the ones passing the type filter and every parallel brush
+    function panelRows(panel) {
+        if (panel.id === "compare-chart" || panel.id === "coverage-chart") return selection.pinned;
+        return data.filter(d => matchesTypes(d) && matchesBrushes(d));
+    }
+    
+    function inlineStyles(source, clone) {
+        const clones = [clone, ...clone.querySelectorAll("*")];
+        [source, ...source.querySelectorAll("*")].forEach((node, i) => {
+            const style = window.getComputedStyle(node);
+            clones[i].setAttribute("style", styleProperties
+                .map(property => [property, style.getPropertyValue(property)])
+                .filter(([, value]) => value)
+                .map(([property, value]) => `${property}:${value}`)
+                .join(";"));
+        });
+    }
     
-    // Reset all brushes function
-    function resetAllBrushes() {
-        // Clear all brushes visually
-        svg.selectAll(".brush").call(d3.brushY().clear);
+    // One standalone SVG with the panel title and every chart in it, laid out as on
+    // the page; the parallel plot's canvas lines go in as an image
+    function panelSvg(panel) {
+        const parts = [...panel.querySelectorAll("svg, canvas")]
+            .filter(node => !node.parentNode.closest("svg"))
+            .map(node => ({node, box: node.getBoundingClientRect()}))
+            .filter(({box}) => box.width > 0 && box.height > 0);
+        if (parts.length === 0) return null;
         
-        // Reset active brushes
-        activeBrushes = {};
+        const left = d3.min(parts, ({box}) => box.left);
+        const top = d3.min(parts, ({box}) => box.top);
+        const width = d3.max(parts, ({box}) => box.right) - left;
+        const height = d3.max(parts, ({box}) => box.bottom) - top + titleHeight;
         
-        // Reset all lines to default appearance
-        lines
-            .attr("stroke-opacity", 0.5)
-            .attr("stroke-width", 1);
+        const svg = d3.create("svg")
+            .attr("xmlns", "http://www.w3.org/2000/svg")
+            .attr("width", width)
+            .attr("height", height);
+        
+        svg.append("rect")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("fill", "white");
+        
+        svg.append("text")
+            .attr("x", width / 2)
+            .attr("y", 20)
+            .attr("text-anchor", "middle")
+            .style("font-family", "Arial, sans-serif")
+            .style("font-size", "18px")
+            .style("font-weight", "bold")
+            .style("fill", "#333")
+            .text(panel.querySelector(".chart-title").textContent);
+        
+        parts.forEach(({node, box}) => {
+            const x = box.left - left;
+            const y = box.top - top + titleHeight;
+            if (node.tagName.toLowerCase() === "canvas") {
+                svg.append("image")
+                    .attr("href", node.toDataURL("image/png"))
+                    .attr("x", x)
+                    .attr("y", y)
+                    .attr("width", box.width)
+                    .attr("height", box.height);
+                return;
+            }
+            const clone = node.cloneNode(true);
+            inlineStyles(node, clone);
+            d3.select(clone)
+                .attr("x", x)
+                .attr("y", y)
+                .attr("width", box.width)
+                .attr("height", box.height);
+            svg.node().appendChild(clone);
+        });
+        
+        return {
+            text: new XMLSerializer().serializeToString(svg.node()),
+            width,
+            height
+        };
     }
     
-    // Add generation legend
-    const legend = svg.append("g")
-        .attr("transform", `translate(${width - 60}, 20)`);
-    
-    const generations = [...new Set(data.map(d => d.Generation))].sort();
-    
-    generations.forEach((gen, i) => {
-        legend.append("rect")
-            .attr("x", 0)
-            .attr("y", i * 20)
-            .attr("width", 15)
-            .attr("height", 15)
-            .attr("fill", generationColors(gen));
-        
-        legend.append("text")
-            .attr("x", 20)
-            .attr("y", i * 20 + 12)
-            .text(`Gen ${gen}`)
-            .style("font-size", "12px");
+    function exportSvg(panel) {
+        const exported = panelSvg(panel);
+        if (!exported) return;
+        downloadBlob(new Blob([exported.text], {type: "image/svg+xml"}), `${panel.id}.svg`);
+    }
+    
+    // Rasterize the exported SVG at the chosen scale
+    function exportPng(panel, scale) {
+        const exported = panelSvg(panel);
+        if (!exported) return;
+        
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = exported.width * scale;
+            canvas.height = exported.height * scale;
+            const context = canvas.getContext("2d");
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            canvas.toBlob(blob => downloadBlob(blob, `${panel.id}@${scale}x.png`), "image/png");
+        };
+        image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(exported.text);
+    }
+    
+    // Missing values are written as empty CSV fields and JSON nulls
+    function exportRows(panel, format) {
+        const rows = panelRows(panel).map(d => Object.fromEntries(schema.columns
+            .map(column => [column, Number.isNaN(d[column]) ? null : d[column]])));
+        const text = format === "csv"
+            ? d3.csvFormat(rows, schema.columns)
+            : JSON.stringify(rows, null, 2);
+        const type = format === "csv" ? "text/csv" : "application/json";
+        downloadBlob(new Blob([text], {type}), `${panel.id}-rows.${format}`);
+    }
+    
+    d3.selectAll(".dashboard .chart").each(function() {
+        const panel = this;
+        const controls = d3.select(panel)
+            .insert("div", ".chart-title + *")
+            .attr("class", "export-controls");
+        
+        controls.append("span")
+            .attr("class", "export-label")
+            .text("Export:");
+        
+        // The coverage panel is a plain table, so it only exports data
+        if (panel.id !== "coverage-chart") {
+            controls.append("button")
+                .text("SVG")
+                .on("click", () => exportSvg(panel));
+            
+            const scale = controls.append("select")
+                .attr("class", "export-scale")
+                .attr("title", "PNG scale");
+            
+            scale.selectAll("option")
+                .data([1, 2, 3])
+                .enter()
+                .append("option")
+                .attr("value", d => d)
+                .property("selected", d => d === 2)
+                .text(d => `${d}x`);
+            
+            controls.append("button")
+                .text("PNG")
+                .on("click", () => exportPng(panel, +scale.property("value")));
+        }
+        
+        controls.append("button")
+            .text("CSV")
+            .attr("title", `${schema.itemLabel} shown in this chart`)
+            .on("click", () => exportRows(panel, "csv"));
+        
+        controls.append("button")
+            .text("JSON")
+            .attr("title", `${schema.itemLabel} shown in this chart`)
+            .on("click", () => exportRows(panel, "json"));
     });
 }
 
-// 3. Scatter Plot - Attack vs. Defense with Type Filtering
-function createScatterPlot() {
-    // Create SVG container
-    const svg = d3.select("#scatter")
-        .append("svg")
-        .attr("width", width + margin.left + margin.right)
-        .attr("height", height + margin.top + margin.bottom + 40)
+// 12. Egg Groups and Breeding - which egg groups share Pokemon, who a Pokemon can breed
+// with, and the male ratio within each egg group
+function createBreedingPanel() {
+    // Needs the egg group, gender and male ratio columns named in the schema config
+    if (!schema.eggGroups || !schema.gender || !schema.maleRatio) {
+        d3.select("#breeding-chart").style("display", "none");
+        return;
+    }
+    
+    const container = d3.select("#breeding");
+    
+    // Egg groups with rules of their own: Pokemon in Undiscovered can't breed at all, and
+    // Ditto (alone in its group) breeds with any other Pokemon that can, genderless ones too
+    const undiscovered = "Undiscovered";
+    const dittoGroup = "Ditto";
+    
+    function eggGroupsOf(d) {
+        return schema.eggGroups.map(column => d[column]).filter(Boolean);
+    }
+    
+    function eggGroupLabel(group) {
+        return group.replace(/_/g, " ");
+    }
+    
+    const eggGroups = [...new Set(data.flatMap(eggGroupsOf))].sort();
+    const eggGroupColor = d3.scaleOrdinal()
+        .domain(eggGroups)
+        .range(eggGroups.map((group, i) => palette.categorical[i % palette.categorical.length]));
+    
+    // A male ratio of 0 or 1 means a single gender; genderless Pokemon are neither
+    function isGenderless(d) {
+        return !d[schema.gender] || isNaN(d[schema.maleRatio]);
+    }
+    
+    function canBeMale(d) {
+        return !isGenderless(d) && d[schema.maleRatio] > 0;
+    }
+    
+    function canBeFemale(d) {
+        return !isGenderless(d) && d[schema.maleRatio] < 1;
+    }
+    
+    function isDitto(d) {
+        return eggGroupsOf(d).includes(dittoGroup);
+    }
+    
+    function canBreedAtAll(d) {
+        const groups = eggGroupsOf(d);
+        return groups.length > 0 && !groups.includes(undiscovered);
+    }
+    
+    // A male and a female sharing an egg group can breed (so can two of one species with
+    // both genders). Ditto stands in for either gender, so it is the only partner of a
+    // genderless Pokemon; two Dittos can't breed.
+    function canBreed(a, b) {
+        if (!canBreedAtAll(a) || !canBreedAtAll(b)) return false;
+        if (isDitto(a) || isDitto(b)) return !(isDitto(a) && isDitto(b));
+        if (!eggGroupsOf(a).some(group => eggGroupsOf(b).includes(group))) return false;
+        return (canBeMale(a) && canBeFemale(b)) || (canBeFemale(a) && canBeMale(b));
+    }
+    
+    function genderText(d) {
+        if (isGenderless(d)) return "genderless";
+        if (!canBeFemale(d)) return "male only";
+        if (!canBeMale(d)) return "female only";
+        return `${d3.format(".1~%")(d[schema.maleRatio])} male`;
+    }
+    
+    // Egg group picked on the chord diagram, highlighted there and in the histograms
+    let pickedGroup = null;
+    
+    const top = container.append("div")
+        .attr("class", "breeding-top");
+    
+    // Chord diagram - each arc is an egg group sized by its Pokemon, each ribbon the
+    // Pokemon in both of two egg groups
+    const chordRadius = 120;
+    const chordSize = chordRadius * 2 + 160;
+    const chordSvg = top.append("svg")
+        .attr("class", "breeding-chord")
+        .attr("width", chordSize)
+        .attr("height", chordSize)
         .append("g")
-        .attr("transform", `translate(${margin.left}, ${margin.top})`);
-
-    // Get all unique types from the data
-    const allTypes = [...new Set(data.flatMap(d => [d.Type_1, d.Type_2].filter(Boolean)))].sort();
-    
-    // Create dropdown container
-    const dropdownContainer = d3.select("#scatter")
-        .insert("div", ":first-child")
-        .attr("class", "type-filter-container");
-    
-    // Create dropdown label
-    dropdownContainer.append("label")
-        .attr("for", "type-select")
-        .text("Filter by Type:");
-    
-    // Create multi-select dropdown
-    const dropdown = dropdownContainer.append("select")
-        .attr("id", "type-select")
-        .attr("multiple", true);
-    
-    // Add default "All Types" option
-    dropdown.append("option")
-        .attr("value", "all")
-        .text("All Types")
-        .property("selected", true);
-    
-    // Add type options
-    dropdown.selectAll("type-option")
-        .data(allTypes)
+        .attr("transform", `translate(${chordSize / 2}, ${chordSize / 2})`);
+    
+    const chordLayout = d3.chord()
+        .padAngle(0.04)
+        .sortSubgroups(d3.descending);
+    
+    const groupArc = d3.arc()
+        .innerRadius(chordRadius)
+        .outerRadius(chordRadius + 12);
+    
+    const ribbon = d3.ribbon()
+        .radius(chordRadius);
+    
+    const ribbonsGroup = chordSvg.append("g")
+        .attr("class", "chord-ribbons");
+    const arcsGroup = chordSvg.append("g")
+        .attr("class", "chord-arcs");
+    
+    let chords = [];
+    
+    // Ribbons of the hovered (or picked) egg group stand out from the rest
+    function highlightRibbons(index) {
+        ribbonsGroup.selectAll(".chord-ribbon")
+            .attr("opacity", c => index == null || c.source.index === index || c.target.index === index ? 0.75 : 0.08);
+    }
+    
+    function updateChord(rows) {
+        // Pokemon in one egg group go on the diagonal, so each arc spans every Pokemon in
+        // its group while ribbons only join groups that share Pokemon
+        const matrix = eggGroups.map(() => eggGroups.map(() => 0));
+        rows.forEach(d => {
+            const indexes = eggGroupsOf(d).map(group => eggGroups.indexOf(group));
+            if (indexes.length === 1) matrix[indexes[0]][indexes[0]]++;
+            indexes.forEach(i => indexes.forEach(j => {
+                if (i !== j) matrix[i][j]++;
+            }));
+        });
+        
+        chords = chordLayout(matrix);
+        const focusGroups = selection.focus ? eggGroupsOf(selection.focus) : [];
+        
+        ribbonsGroup.selectAll(".chord-ribbon")
+            .data(chords.filter(c => c.source.index !== c.target.index),
+                c => `${c.source.index}-${c.target.index}`)
+            .join("path")
+            .attr("class", "chord-ribbon")
+            .attr("d", ribbon)
+            .attr("fill", c => eggGroupColor(eggGroups[c.source.index]))
+            .attr("stroke", "#fff")
+            .attr("stroke-width", 0.5)
+            .on("mouseover", function(event, c) {
+                tooltip
+                    .style("opacity", 1)
+                    .html(`<strong>${escapeHtml(eggGroupLabel(eggGroups[c.source.index]))} &amp; ` +
+                        `${escapeHtml(eggGroupLabel(eggGroups[c.target.index]))}</strong><br>` +
+                        `${c.source.value} ${escapeHtml(schema.itemLabel)} in both`)
+                    .style("left", (event.pageX + 10) + "px")
+                    .style("top", (event.pageY - 10) + "px");
+            })
+            .on("mouseout", () => tooltip.style("opacity", 0));
+        
+        const arcs = arcsGroup.selectAll(".chord-group")
+            .data(chords.groups, g => eggGroups[g.index])
+            .join(enter => {
+                const group = enter.append("g")
+                    .attr("class", "chord-group")
+                    .style("cursor", "pointer")
+                    .on("mouseover", function(event, g) {
+                        highlightRibbons(g.index);
+                        const shared = d3.sum(matrix[g.index], (count, j) => j === g.index ? 0 : count);
+                        tooltip
+                            .style("opacity", 1)
+                            .html(`<strong>${escapeHtml(eggGroupLabel(eggGroups[g.index]))}</strong><br>` +
+                                `${g.value} ${escapeHtml(schema.itemLabel)}, ${shared} also in another egg group<br>` +
+                                "<em>Click to highlight</em>")
+                            .style("left", (event.pageX + 10) + "px")
+                            .style("top", (event.pageY - 10) + "px");
+                    })
+                    .on("mouseout", () => {
+                        highlightRibbons(pickedGroup == null ? null : eggGroups.indexOf(pickedGroup));
+                        tooltip.style("opacity", 0);
+                    })
+                    .on("click", (event, g) => {
+                        // Clicking the picked egg group again clears it
+                        pickedGroup = pickedGroup === eggGroups[g.index] ? null : eggGroups[g.index];
+                        updateBreeding();
+                    })
+                    .call(keyboardClickable);
+                group.append("path");
+                group.append("text")
+                    .attr("dy", "0.35em")
+                    .style("font-size", "10px");
+                return group;
+            })
+            .attr("aria-label", g => `Highlight ${eggGroupLabel(eggGroups[g.index])}, ${g.value} ${schema.itemLabel}`)
+            .attr("aria-pressed", g => pickedGroup === eggGroups[g.index]);
+        
+        // The focused Pokemon's egg groups are outlined
+        arcs.select("path")
+            .attr("d", groupArc)
+            .attr("fill", g => eggGroupColor(eggGroups[g.index]))
+            .attr("stroke", g => focusGroups.includes(eggGroups[g.index]) ? "#222" : null)
+            .attr("stroke-width", 2);
+        
+        // Labels around the outside, flipped on the left half so they read left to right
+        arcs.select("text")
+            .attr("transform", g => {
+                const angle = (g.startAngle + g.endAngle) / 2;
+                return `rotate(${angle * 180 / Math.PI - 90}) translate(${chordRadius + 16})` +
+                    (angle > Math.PI ? " rotate(180)" : "");
+            })
+            .attr("text-anchor", g => (g.startAngle + g.endAngle) / 2 > Math.PI ? "end" : "start")
+            .style("font-weight", g => pickedGroup === eggGroups[g.index] ? "bold" : null)
+            .text(g => g.value ? eggGroupLabel(eggGroups[g.index]) : "");
+        
+        highlightRibbons(pickedGroup == null ? null : eggGroups.indexOf(pickedGroup));
+    }
+    
+    // Breeding lookup for the Pokemon in the detail card, or one picked by name
+    const lookup = top.append("div")
+        .attr("class", "breeding-lookup");
+    
+    const lookupControls = lookup.append("div")
+        .attr("class", "breeding-controls");
+    
+    lookupControls.append("label")
+        .attr("for", "breeding-search")
+        .text("Breeding partners of:");
+    
+    const search = lookupControls.append("input")
+        .attr("id", "breeding-search")
+        .attr("list", "breeding-names")
+        .attr("placeholder", "Type a name...")
+        .on("change", function() {
+            const d = data.find(p => String(rowName(p)).toLowerCase() === this.value.trim().toLowerCase());
+            if (d) focusPokemon(d);
+        });
+    
+    lookupControls.append("datalist")
+        .attr("id", "breeding-names")
+        .selectAll("option")
+        .data(data)
         .enter()
         .append("option")
-        .attr("value", d => d)
-        .text(d => d)
-        .style("background-color", d => typeColors[d] || "#eee");
-    
-    // Add change handler for filtering
-    dropdown.on("change", function() {
-        const selectedOptions = Array.from(this.selectedOptions)
-            .map(option => option.value)
-            .filter(value => value !== "all");
-        
-        if (selectedOptions.length === 0 || this.querySelector('option[value="all"]:checked')) {
-            // Show all data points
-            updatePlot(data);
-            // Keep "All Types" selected if nothing else is selected
-            this.querySelector('option[value="all"]').selected = true;
+        .attr("value", rowName);
+    
+    const lookupResult = lookup.append("div")
+        .attr("class", "breeding-result");
+    
+    function updateLookup() {
+        const d = selection.focus;
+        search.property("value", d ? rowName(d) : "");
+        lookupResult.selectAll("*").remove();
+        
+        const summary = lookupResult.append("p")
+            .attr("class", "breeding-summary");
+        
+        if (!d) {
+            summary.text(`Pick a ${schema.itemLabel} here or on any chart to list the ones it can breed with.`);
+            return;
+        }
+        
+        const name = `<strong>${escapeHtml(rowName(d))}</strong>`;
+        const groups = eggGroupsOf(d);
+        const groupList = escapeHtml(groups.map(eggGroupLabel).join(", ") || "none");
+        const itemLabel = escapeHtml(schema.itemLabel);
+        
+        if (!canBreedAtAll(d)) {
+            summary.html(groups.includes(undiscovered)
+                ? `${name} is in the ${undiscovered} egg group, so it can't breed.`
+                : `${name} has no egg group, so it can't breed.`);
+            return;
+        }
+        
+        const partners = data.filter(p => canBreed(d, p));
+        if (isDitto(d)) {
+            summary.html(`${name} can breed with every ${itemLabel} that can breed, genderless ones ` +
+                `included, except another Ditto: ${partners.length} in all.`);
+        } else if (isGenderless(d)) {
+            summary.html(`${name} (${groupList}) is genderless, so it can only breed with Ditto.`);
         } else {
-            // Filter data to ONLY include Pokémon that have ANY of the selected types
-            const filteredData = data.filter(d => 
-                selectedOptions.includes(d.Type_1) || 
-                (d.Type_2 && selectedOptions.includes(d.Type_2))
-            );
-            updatePlot(filteredData);
-            // Ensure "All Types" is not selected
-            this.querySelector('option[value="all"]').selected = false;
+            summary.html(`${name} (${groupList}, ${genderText(d)}) can breed with ${partners.length} ` +
+                `${itemLabel}` + (canBeMale(d) && canBeFemale(d) ? "."
+                    : `; being ${genderText(d)}, only with ones that can be ${canBeMale(d) ? "female" : "male"}.`));
         }
-    });
-
-    // Create scales
-    const x = d3.scaleLinear()
-        .domain([0, d3.max(data, d => d.Attack) * 1.1])
-        .range([0, width]);
+        
+        // Partners by egg group - the Pokemon's own groups and Ditto, or for Ditto every
+        // group that can breed; a partner in two of them is listed under both
+        const sections = (isDitto(d) ? eggGroups.filter(group => group !== undiscovered && group !== dittoGroup)
+            : groups.concat(dittoGroup))
+            .map(group => ({group, members: partners.filter(p => eggGroupsOf(p).includes(group))}))
+            .filter(section => section.members.length);
+        
+        sections.forEach(section => {
+            const details = lookupResult.append("details")
+                .attr("class", "breeding-group")
+                .property("open", !isDitto(d));
+            
+            details.append("summary")
+                .style("border-left-color", eggGroupColor(section.group))
+                .text(`${eggGroupLabel(section.group)} (${section.members.length})`);
+            
+            details.append("div")
+                .attr("class", "breeding-partners")
+                .selectAll("button")
+                .data(section.members)
+                .enter()
+                .append("button")
+                .attr("class", "breeding-partner")
+                .classed("current", p => p === d)
+                .attr("title", genderText)
+                .text(rowName)
+                .on("click", (event, p) => focusPokemon(p));
+        });
+    }
     
-    const y = d3.scaleLinear()
-        .domain([0, d3.max(data, d => d.Defense) * 1.1])
-        .range([height, 0]);
+    // Male ratio histograms, one per egg group - the share of the group's Pokemon in each
+    // ratio bin from female only to male only, with genderless ones in a bar of their own
+    container.append("div")
+        .attr("class", "breeding-histogram-title")
+        .text(`${columnLabel(schema.maleRatio)} by egg group`);
     
-    const size = d3.scaleSqrt()
-        .domain([0, d3.max(data, d => d.Total)])
-        .range([2, 10]);
+    const ratioBins = d3.bin()
+        .domain([0, 1])
+        .thresholds(d3.range(1, 9).map(i => (i - 0.5) / 8));
+    const genderlessBin = "genderless";
+    const binKeys = [...d3.range(9), genderlessBin];
     
-    // Draw axes
-    svg.append("g")
-        .attr("class", "x-axis")
-        .attr("transform", `translate(0, ${height})`)
-        .call(d3.axisBottom(x));
+    function binLabel(key) {
+        return key === genderlessBin ? "genderless" : `${d3.format(".1~%")(key / 8)} male`;
+    }
     
-    svg.append("g")
-        .attr("class", "y-axis")
-        .call(d3.axisLeft(y));
+    const facetColumns = 5;
+    const facetWidth = 120;
+    const facetHeight = 60;
+    const facetMargin = {top: 18, right: 15, bottom: 18, left: 10};
+    const facetOuterWidth = facetWidth + facetMargin.left + facetMargin.right;
+    const facetOuterHeight = facetHeight + facetMargin.top + facetMargin.bottom;
     
-    // Add axis labels
-    svg.append("text")
-        .attr("class", "x-label")
-        .attr("x", width / 2)
-        .attr("y", height + margin.bottom - 10)
-        .attr("text-anchor", "middle")
-        .text("Attack");
+    const histogramSvg = container.append("svg")
+        .attr("class", "breeding-histograms")
+        .attr("width", facetOuterWidth * facetColumns)
+        .attr("height", facetOuterHeight * Math.ceil(eggGroups.length / facetColumns));
     
-    svg.append("text")
-        .attr("class", "y-label")
-        .attr("transform", "rotate(-90)")
-        .attr("y", -margin.left + 15)
-        .attr("x", -height / 2)
-        .attr("text-anchor", "middle")
-        .text("Defense");
+    const binX = d3.scaleBand()
+        .domain(binKeys)
+        .range([0, facetWidth])
+        .padding(0.1);
+    
+    const shareY = d3.scaleLinear()
+        .domain([0, 1])
+        .range([facetHeight, 0]);
+    
+    const facets = histogramSvg.selectAll(".breeding-facet")
+        .data(eggGroups)
+        .enter()
+        .append("g")
+        .attr("class", "breeding-facet")
+        .attr("transform", (group, i) => `translate(${(i % facetColumns) * facetOuterWidth + facetMargin.left}, ` +
+            `${Math.floor(i / facetColumns) * facetOuterHeight + facetMargin.top})`);
+    
+    const facetTitles = facets.append("text")
+        .attr("y", -5)
+        .style("font-size", "11px");
+    
+    facets.append("line")
+        .attr("x2", facetWidth)
+        .attr("y1", facetHeight)
+        .attr("y2", facetHeight)
+        .attr("stroke", "#999");
     
-    // Create a group for points
-    const pointsGroup = svg.append("g")
-        .attr("class", "points-group");
+    // Female only, male only and genderless ends of each axis
+    facets.selectAll(".breeding-axis-label")
+        .data([[0, "\u2640"], [8, "\u2642"], [genderlessBin, "\u2013"]])
+        .enter()
+        .append("text")
+        .attr("class", "breeding-axis-label")
+        .attr("x", ([key]) => binX(key) + binX.bandwidth() / 2)
+        .attr("y", facetHeight + 12)
+        .attr("text-anchor", "middle")
+        .style("font-size", "10px")
+        .style("fill", "#555")
+        .text(([, label]) => label);
     
-    // Initial plot with all data
-    updatePlot(data);
+    const facetBars = facets.append("g");
     
-    // Update plot with filtered data
-    function updatePlot(plotData) {
-        // Update points with animation
-        const points = pointsGroup.selectAll(".point")
-            .data(plotData, d => d.Name);
+    function updateHistograms(rows) {
+        facets.each(function(group) {
+            const members = rows.filter(d => eggGroupsOf(d).includes(group));
+            const bins = ratioBins(members.filter(d => !isGenderless(d)).map(d => d[schema.maleRatio]));
+            const counts = binKeys.map((key, i) => ({
+                key,
+                count: key === genderlessBin ? members.filter(isGenderless).length : bins[i].length,
+                total: members.length
+            }));
             
-        // Exit animation
-        points.exit()
-            .transition()
-            .duration(500)
-            .attr("r", 0)
-            .attr("opacity", 0)
-            .remove();
-        
-        // Enter animation for new points
-        points.enter()
-            .append("circle")
-            .attr("class", "point")
-            .attr("cx", d => x(d.Attack))
-            .attr("cy", d => y(d.Defense))
-            .attr("r", 0)
-            .attr("fill", d => d.isLegendary ? "#FFD700" : "#4682B4")
-            .attr("opacity", 0.7)
-            .transition()
-            .duration(500)
-            .attr("r", d => size(d.Total));
+            const facet = d3.select(this)
+                .style("opacity", pickedGroup && pickedGroup !== group ? 0.3 : 1);
+            
+            facet.select("text")
+                .style("font-weight", pickedGroup === group ? "bold" : null)
+                .text(`${eggGroupLabel(group)} (${members.length})`);
+            
+            facet.select("g")
+                .selectAll(".breeding-bar")
+                .data(counts, bin => bin.key)
+                .join(enter => enter.append("rect")
+                    .attr("class", "breeding-bar")
+                    .attr("x", bin => binX(bin.key))
+                    .attr("width", binX.bandwidth())
+                    .attr("y", facetHeight)
+                    .attr("height", 0)
+                    .on("mouseover", function(event, bin) {
+                        tooltip
+                            .style("opacity", 1)
+                            .html(`<strong>${escapeHtml(eggGroupLabel(group))}</strong><br>` +
+                                `${bin.count} of ${bin.total} ${escapeHtml(schema.itemLabel)} ${binLabel(bin.key)}`)
+                            .style("left", (event.pageX + 10) + "px")
+                            .style("top", (event.pageY - 10) + "px");
+                    })
+                    .on("mouseout", () => tooltip.style("opacity", 0)))
+                .attr("fill", bin => bin.key === genderlessBin ? "#999" : eggGroupColor(group))
+                .transition()
+                .duration(500)
+                .attr("y", bin => shareY(bin.total ? bin.count / bin.total : 0))
+                .attr("height", bin => facetHeight - shareY(bin.total ? bin.count / bin.total : 0));
+        });
         
-        // Update existing points
-        points.transition()
-            .duration(500)
-            .attr("cx", d => x(d.Attack))
-            .attr("cy", d => y(d.Defense))
-            .attr("r", d => size(d.Total))
-            .attr("opacity", 0.7)
-            .attr("fill", d => d.isLegendary ? "#FFD700" : "#4682B4");
+        facetTitles.attr("fill", group => rows.some(d => eggGroupsOf(d).includes(group)) ? "#333" : "#aaa");
     }
     
-    // Add legend for Pokemon types (regular vs legendary)
-    const legend = svg.append("g")
-        .attr("transform", `translate(${width - 60}, 20)`);
-    
-    legend.append("circle")
-        .attr("cx", 10)
-        .attr("cy", 10)
-        .attr("r", 5)
-        .attr("fill", "#4682B4");
-    
-    legend.append("text")
-        .attr("x", 20)
-        .attr("y", 13)
-        .text("Regular")
-        .style("font-size", "12px");
-    
-    legend.append("circle")
-        .attr("cx", 10)
-        .attr("cy", 35)
-        .attr("r", 5)
-        .attr("fill", "#FFD700");
-    
-    legend.append("text")
-        .attr("x", 20)
-        .attr("y", 38)
-        .text("Legendary")
-        .style("font-size", "12px");
-    
-    // Add size legend to show what circle sizes represent
-    const sizeLegend = svg.append("g")
-        .attr("transform", `translate(${width - 60}, 70)`);
-    
-    const sizeValues = [200, 400, 600];
-    
-    sizeValues.forEach((val, i) => {
-        sizeLegend.append("circle")
-            .attr("cx", 10)
-            .attr("cy", i * 20 + 10)
-            .attr("r", size(val))
-            .attr("fill", "none")
-            .attr("stroke", "#000")
-            .attr("stroke-width", 1);
-        
-        sizeLegend.append("text")
-            .attr("x", 10 + size(val) + 5)
-            .attr("y", i * 20 + 13)
-            .text(val)
-            .style("font-size", "12px");
-    });
+    container.append("div")
+        .attr("class", "breeding-note")
+        .text(`Bars are each egg group's share of ${schema.itemLabel} by ${columnLabel(schema.maleRatio).toLowerCase()}, ` +
+            `from female only (\u2640) to male only (\u2642); the grey bar is genderless. ` +
+            `${schema.itemLabel} in two egg groups count in both.`);
+    
+    // The diagram and histograms follow the filters and brushes
+    function updateBreeding() {
+        const rows = data.filter(d => matchesTypes(d) && matchesBrushes(d));
+        updateChord(rows);
+        updateHistograms(rows);
+    }
+    
+    updateBreeding();
+    updateLookup();
     
-    sizeLegend.append("text")
-        .attr("x", 0)
-        .attr("y", 0)
-        .text("Total Stats")
-        .style("font-size", "12px");
+    selectionEvents.on("change.breeding", updateBreeding);
+    selectionEvents.on("focus.breeding", () => {
+        updateLookup();
+        updateBreeding();
+    });
 }
 
+    // Scatter title follows its encoding
+    function updateScatterTitle() {
+        d3.select("#scatter-chart .chart-title")
+            .text(`${columnLabel(view.encoding.x)} vs. ${columnLabel(view.encoding.y)}`);
+    }
+    
+    updateScatterTitle();
+    selectionEvents.on("view.title", updateScatterTitle);
+    
     // Create all charts
-    createRadarChart();
-    createParallelChart();
-    createScatterPlot();
-});
\ No newline at end of file
+    createDataQualityPanel();
+    // The radar counts category values, so it needs a category column
+    if (schema.categories.length === 0) d3.select("#radar-chart").style("display", "none");
+    charts = [
+        radarChart("#radar", data, {model}),
+        parallelChart("#parallel", data, {model}),
+        scatterPlot("#scatter", data, {model})
+    ];
+    // The size chart needs the height and weight columns named in the schema config
+    if (schema.height && schema.weight) {
+        charts.push(sizeChart("#size", data, {model, height: 380}));
+    } else {
+        d3.select("#size-chart").style("display", "none");
+    }
+    // The catch rate chart plots the catch rate column against the total
+    if (schema.catchRate && schema.total) {
+        charts.push(catchChart("#catch", data, {model, height: 340}));
+    } else {
+        d3.select("#catch-chart").style("display", "none");
+    }
+    createTypeMatrix();
+    createDetailCard();
+    createComparePanel();
+    createTeamCoverage();
+    createBreedingPanel();
+    // Types, brushes, encodings, axes and pins kept in the URL hash
+    urlState = createUrlState(model);
+    createExportControls();
+}
+
+// Copy of parsed rows, so a dataset can be drawn again after a failed import
+function copyRows(rows) {
+    const copy = rows.map(d => Object.assign({}, d));
+    copy.columns = rows.columns;
+    return copy;
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Chart components of the dashboard on screen, and the URL state following their model
+let charts = [];
+let urlState = null;
+
+// Remove every chart so the dashboard can be rebuilt
+function clearDashboard() {
+    if (urlState) urlState.destroy();
+    urlState = null;
+    charts.forEach(chart => chart.destroy());
+    charts = [];
+    d3.selectAll("#data-quality, #radar, #parallel, #scatter, #size, #catch, #matrix, #compare, #coverage, #breeding, #detail-card")
+        .selectAll("*")
+        .remove();
+    d3.selectAll(".dashboard .chart").style("display", null);
+    d3.selectAll(".export-controls").remove();
+    d3.select("#tooltip").style("opacity", 0);
+}
+
+// The dataset on screen, kept as parsed so it can be restored
+let currentDataset = null;
+
+// Validate a dataset and rebuild the dashboard from it. A file that fails validation, or
+// whose charts fail to build, leaves (or restores) the previous dashboard.
+function loadDataset(rows, config, source, explicitConfig) {
+    const report = validateDataset(rows, config, source, explicitConfig);
+    
+    if (report.errors.length === 0) {
+        try {
+            clearDashboard();
+            createDashboard(copyRows(report.rows), report.schema);
+            currentDataset = {rows: report.rows, config: report.config, schema: report.schema};
+        } catch (error) {
+            report.errors.push(`The charts could not be built: ${error.message}`);
+            clearDashboard();
+            if (currentDataset) {
+                createDashboard(copyRows(currentDataset.rows), currentDataset.schema);
+            }
+        }
+    }
+    
+    showImportReport(report, source, rows.length);
+    return report.errors.length === 0;
+}
+
+// Drop zone and file picker for loading a CSV or JSON file, with an optional schema config
+function createImportPanel() {
+    const panel = d3.select("#data-import");
+    
+    const dropZone = panel.append("div")
+        .attr("class", "drop-zone")
+        .on("dragover", event => {
+            event.preventDefault();
+            dropZone.classed("drag-over", true);
+        })
+        .on("dragleave", () => dropZone.classed("drag-over", false))
+        .on("drop", event => {
+            event.preventDefault();
+            dropZone.classed("drag-over", false);
+            importFiles([...event.dataTransfer.files]);
+        });
+    
+    dropZone.append("span")
+        .text("Drop a CSV or JSON file here (with an optional .schema.json config), or ");
+    
+    const fileInput = dropZone.append("input")
+        .attr("type", "file")
+        .attr("id", "import-file")
+        .attr("accept", ".csv,.json")
+        .attr("multiple", true)
+        .style("display", "none")
+        .on("change", function() {
+            importFiles([...this.files]);
+            this.value = "";
+        });
+    
+    dropZone.append("button")
+        .attr("class", "import-button")
+        .text("choose a file")
+        .on("click", () => fileInput.node().click());
+    
+    panel.append("div")
+        .attr("class", "import-report");
+}
+
+// Read dropped or picked files: one data file, and a schema config if one came along
+function importFiles(files) {
+    const names = files.map(file => file.name).join(", ");
+    
+    Promise.all(files.map(file => file.text().then(text => ({file, text}))))
+        .then(contents => {
+            let config = null;
+            const dataFiles = [];
+            contents.forEach(({file, text}) => {
+                // Schema configs are JSON objects; data files are CSV or JSON arrays
+                if (/\.json$/i.test(file.name)) {
+                    const parsed = JSON.parse(text);
+                    if (!Array.isArray(parsed)) {
+                        config = parsed;
+                        return;
+                    }
+                }
+                dataFiles.push({file, text});
+            });
+            
+            if (dataFiles.length !== 1) {
+                throw new Error(dataFiles.length ? "Drop one data file at a time." : "No CSV or JSON data file was given.");
+            }
+            const {file, text} = dataFiles[0];
+            const rows = parseDataFile(text, file.name);
+            // Without a new config, keep the current one if the file still fits it
+            loadDataset(rows, config || (currentDataset && currentDataset.config), file.name, Boolean(config));
+        })
+        .catch(error => showImportReport({errors: [error.message], warnings: [], rows: [], skipped: 0},
+            names, 0));
+}
+
+// Summary of the last load: rows shown and skipped, errors and warnings
+function showImportReport(report, source, rowCount) {
+    const ok = report.errors.length === 0;
+    const panel = d3.select(".import-report")
+        .classed("has-errors", !ok)
+        .html("");
+    
+    panel.append("div")
+        .attr("class", "import-summary")
+        .text(ok
+            ? `Loaded ${source}: ${report.rows.length} rows shown` +
+                (report.skipped ? `, ${report.skipped} of ${rowCount} skipped.` : ".")
+            : `Could not load ${source}.` + (currentDataset ? " The previous data is still shown." : ""));
+    
+    panel.append("ul")
+        .selectAll("li")
+        .data([
+            ...report.errors.map(text => ({kind: "error", text})),
+            ...report.warnings.map(text => ({kind: "warning", text}))
+        ])
+        .join("li")
+        .attr("class", d => `import-${d.kind}`)
+        .text(d => d.text);
+}
+
+// Stacked or side-by-side panels, remembered between visits
+const layoutKey = "dashboardLayout";
+
+function createLayoutControls() {
+    const layouts = [
+        {layout: "stacked", label: "Stacked"},
+        {layout: "side-by-side", label: "Side by side"}
+    ];
+    const saved = localStorage.getItem(layoutKey);
+    let current = layouts.some(l => l.layout === saved) ? saved : "stacked";
+    
+    const controls = d3.select("#layout-controls");
+    
+    controls.append("span")
+        .attr("class", "layout-label")
+        .text("Layout:");
+    
+    const buttons = controls.selectAll(".layout-button")
+        .data(layouts)
+        .enter()
+        .append("button")
+        .attr("class", "layout-button")
+        .text(d => d.label)
+        .on("click", (event, d) => setLayout(d.layout));
+    
+    // The charts follow their panels' new widths through their resize observers
+    function setLayout(layout) {
+        current = layout;
+        localStorage.setItem(layoutKey, layout);
+        d3.select(".dashboard").classed("side-by-side", layout === "side-by-side");
+        buttons
+            .classed("active", d => d.layout === layout)
+            .attr("aria-pressed", d => d.layout === layout);
+    }
+    
+    setLayout(current);
+}
+
+// Standard or colorblind-safe chart colors (see palettes), remembered between visits
+const paletteKey = "dashboardPalette";
+const savedPalette = localStorage.getItem(paletteKey);
+let currentPalette = palettes[savedPalette] ? savedPalette : "standard";
+
+function createPaletteControls() {
+    const controls = d3.select("#layout-controls");
+    
+    controls.append("span")
+        .attr("class", "layout-label")
+        .text("Colors:");
+    
+    const buttons = controls.selectAll(".palette-button")
+        .data(Object.keys(palettes))
+        .enter()
+        .append("button")
+        .attr("class", "layout-button palette-button")
+        .text(key => palettes[key].label)
+        .on("click", (event, key) => setPalette(key));
+    
+    function updateButtons() {
+        buttons
+            .classed("active", key => key === currentPalette)
+            .attr("aria-pressed", key => key === currentPalette);
+    }
+    
+    // The colors are fixed when the charts' model is built, so rebuild the dashboard;
+    // clearing it writes any change still waiting for the URL, and the new dashboard
+    // restores the selection from there
+    function setPalette(key) {
+        if (key === currentPalette) return;
+        currentPalette = key;
+        localStorage.setItem(paletteKey, key);
+        updateButtons();
+        if (currentDataset) {
+            clearDashboard();
+            createDashboard(copyRows(currentDataset.rows), currentDataset.schema);
+        }
+    }
+    
+    updateButtons();
+}
+
+createLayoutControls();
+createPaletteControls();
+
+// Load the data, its schema config and its evolution mapping (if they exist)
+Promise.all([
+    d3.csv(dataFile),
+    d3.json(schemaFile).catch(() => null),
+    d3.json(evolutionsFile).catch(() => null)
+]).then(([data, config, evolutionMapping]) => {
+    evolutions = evolutionMapping;
+    createImportPanel();
+    loadDataset(data, config, dataFile, false);
+}).catch(error => {
+    createImportPanel();
+    showImportReport({errors: [error.message], warnings: [], rows: [], skipped: 0}, dataFile, 0);
+});
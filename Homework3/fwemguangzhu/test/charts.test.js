@@ -0,0 +1,252 @@
+import {container} from "./setup.js";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {buildSchema} from "../../../shared/charts/dataset.js";
+import {radarChart} from "../../../shared/charts/radar-chart.js";
+import {parallelChart} from "../../../shared/charts/parallel-chart.js";
+import {scatterPlot} from "../../../shared/charts/scatter-plot.js";
+import {catchChart} from "../../../shared/charts/catch-chart.js";
+import {sizeChart} from "../../../shared/charts/size-chart.js";
+
+// Smoke tests of the chart(container, data, options) components under jsdom:
+// each is built, updated with fewer rows, and destroyed
+
+const config = JSON.parse(readFileSync(new URL("../../../shared/pokemon_alopez247.schema.json", import.meta.url), "utf8"));
+
+// A fresh copy of the first Pokemon, since the model converts its rows in place
+function pokemon(count = 60) {
+    const all = d3.csvParse(readFileSync(new URL("../pokemon_alopez247.csv", import.meta.url), "utf8"));
+    const rows = all.slice(0, count);
+    rows.columns = all.columns;
+    return rows;
+}
+
+function options() {
+    const rows = pokemon();
+    return {rows, options: {schema: buildSchema(rows, config, "pokemon_alopez247.csv"), width: 600}};
+}
+
+// A 2D context that only counts the lines stroked on it
+function countingContext() {
+    const context = {strokes: 0};
+    return new Proxy(context, {
+        get: (target, key) => key === "strokes" ? target.strokes :
+            key === "stroke" ? () => target.strokes++ : () => {},
+        set: () => true
+    });
+}
+
+for (const [name, chart] of [["radar", radarChart], ["parallel", parallelChart], ["scatter", scatterPlot]]) {
+    test(`the ${name} chart builds, updates and is destroyed`, () => {
+        const node = container();
+        const {rows, options: chartOptions} = options();
+        const instance = chart(node, rows, chartOptions);
+        
+        assert.ok(node.querySelector("svg"), "draws an svg");
+        assert.equal(instance.model.data, rows);
+        
+        let changes = 0;
+        instance.on("change.test", () => changes++);
+        instance.model.updateSelection({types: ["Fire"]});
+        assert.equal(changes, 1);
+        
+        const fewer = rows.slice(0, 20);
+        fewer.columns = rows.columns;
+        assert.equal(instance.update(fewer), instance);
+        assert.ok(node.querySelector("svg"), "redraws after an update");
+        
+        instance.destroy();
+        assert.equal(node.children.length, 0);
+        instance.model.updateSelection({types: []});
+        assert.equal(changes, 1, "destroy removes the listeners added through on()");
+        node.remove();
+    });
+}
+
+test("the parallel chart draws its lines into a context from the options", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    const context = countingContext();
+    const instance = parallelChart(node, rows, {...chartOptions, context});
+    
+    assert.ok(context.strokes >= rows.length);
+    instance.destroy();
+    node.remove();
+});
+
+test("the radar counts only the Pokemon with the type pairing picked in the matrix", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    const instance = radarChart(node, rows, chartOptions);
+    const counts = () => Object.fromEntries([...node.querySelectorAll(".type-point")]
+        .map(c => d3.select(c).datum())
+        .filter(v => v.count > 0)
+        .map(v => [v.type, v.count]));
+    
+    instance.model.updateSelection({typePair: ["Grass", "Poison"]});
+    const pairs = rows.filter(d => d.Type_1 === "Grass" && d.Type_2 === "Poison").length;
+    assert.deepEqual(counts(), {Grass: pairs, Poison: pairs});
+    instance.destroy();
+    node.remove();
+});
+
+test("two charts of a kind on one page don't share control ids", () => {
+    for (const chart of [radarChart, parallelChart, scatterPlot]) {
+        const first = container();
+        const second = container();
+        const {rows, options: chartOptions} = options();
+        const one = chart(first, rows, chartOptions);
+        const other = chart(second, rows, {model: one.model, width: 600});
+        
+        const ids = [...document.querySelectorAll("[id]")].map(element => element.id);
+        assert.equal(new Set(ids).size, ids.length, `duplicate ids: ${ids}`);
+        [first, second].forEach(node => {
+            const label = node.querySelector("label[for]");
+            assert.ok(node.contains(document.getElementById(label.getAttribute("for"))));
+        });
+        one.destroy();
+        other.destroy();
+        first.remove();
+        second.remove();
+    }
+});
+
+test("the scatter plot colors every point alike when no column can encode color", () => {
+    const node = container();
+    const rows = d3.range(30).map(i => ({name: `item ${i}`, a: String(i), b: String(i * 3), c: String(i * i)}));
+    rows.columns = ["name", "a", "b", "c"];
+    const instance = scatterPlot(node, rows, {width: 600});
+    
+    assert.equal(instance.model.schema.encoding.color, null);
+    const fills = new Set([...node.querySelectorAll("circle.point")].map(c => c.getAttribute("fill")));
+    assert.deepEqual([...fills], [instance.model.palette.single]);
+    assert.equal(node.querySelectorAll(".legend-entry").length, 0);
+    instance.destroy();
+    node.remove();
+});
+
+test("the scatter plot's axes span the values rather than starting at zero", () => {
+    const node = container();
+    const rows = d3.range(30).map(i => ({name: `item ${i}`, a: String(1000 + i), b: String(-i * 3), c: String(i)}));
+    rows.columns = ["name", "a", "b", "c"];
+    const instance = scatterPlot(node, rows, {width: 600, config: {name: "name", stats: ["a", "b", "c"]}});
+    const ticks = axis => [...node.querySelectorAll(`.${axis}-axis .tick`)].map(t => d3.select(t).datum());
+    
+    assert.ok(Math.min(...ticks("x")) > 900, "the x axis doesn't reach down to zero");
+    assert.ok(Math.max(...ticks("x")) >= 1029);
+    assert.ok(Math.min(...ticks("y")) <= -87, "negative values are on the y axis");
+    assert.ok(Math.max(...ticks("y")) <= 10);
+    instance.destroy();
+    node.remove();
+});
+
+test("the catch chart places imputed totals like the others", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    rows[0].Total = "";
+    const instance = catchChart(node, rows, chartOptions);
+    instance.model.updateSelection({missing: "mean"});
+    
+    const point = [...node.querySelectorAll(".catch-point")].find(c => d3.select(c).datum() === rows[0]);
+    assert.ok(point, "the row missing its total is plotted");
+    const total = d3.format(".4~g")(instance.model.statValue(rows[0], "Total"));
+    const label = `${instance.model.columnLabel("Total")} ${total} (imputed),`;
+    assert.ok(point.getAttribute("aria-label").includes(label));
+    instance.destroy();
+    node.remove();
+});
+
+test("the catch chart's ranking formats imputed values and marks them", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    // Easy to catch, so it ranks first once its total is imputed
+    rows[0].Total = "";
+    rows[0].Catch_Rate = "255";
+    const instance = catchChart(node, rows, chartOptions);
+    instance.model.updateSelection({missing: "mean"});
+    
+    const first = node.querySelector(".catch-ranking tbody tr");
+    assert.equal(d3.select(first).datum(), rows[0]);
+    const total = d3.format(".4~g")(instance.model.statValue(rows[0], "Total"));
+    assert.equal(first.querySelector("td:nth-child(3)").textContent, `${total} (imputed)`);
+    instance.destroy();
+    node.remove();
+});
+
+test("the catch chart's group filter narrows the points and the ranking", () => {
+    const node = container();
+    const all = d3.csvParse(readFileSync(new URL("../pokemon_alopez247.csv", import.meta.url), "utf8"));
+    const rows = all.filter((d, i) => i % 20 === 0);
+    rows.columns = all.columns;
+    const instance = catchChart(node, rows, {schema: buildSchema(rows, config, "pokemon_alopez247.csv"), width: 600});
+    
+    const select = node.querySelector("select[id^='catch-group-']");
+    select.value = "2";
+    select.dispatchEvent(new window.Event("change"));
+    
+    const generations = rows => new Set(rows.map(d => d.Generation));
+    const ranked = [...node.querySelectorAll(".catch-ranking tbody tr")].map(tr => d3.select(tr).datum());
+    const points = [...node.querySelectorAll(".catch-point")].map(c => d3.select(c).datum())
+        .filter(d => d.Generation === 2);
+    assert.ok(ranked.length > 0);
+    assert.deepEqual([...generations(ranked)], [2]);
+    assert.equal(points.length, rows.filter(d => d.Generation === 2).length);
+    assert.match(node.querySelector(".catch-ranking-header").textContent, /in Gen 2$/);
+    instance.destroy();
+    node.remove();
+});
+
+test("names from an imported file are shown as text, not markup", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    const name = "<img src=x onerror=alert(1)>";
+    rows.forEach(d => {
+        d.Name = name;
+    });
+    const instance = catchChart(node, rows, chartOptions);
+    
+    assert.equal(node.querySelector(".catch-ranking img"), null);
+    assert.equal(node.querySelector(".catch-ranking tbody td:nth-child(2)").textContent, name);
+    instance.destroy();
+    node.remove();
+});
+
+test("the size chart's axes cover the imputed sizes", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    // The tallest Pokemon by far, but without a weight it is only plotted once imputed
+    rows[0].Height_m = "100";
+    rows[0].Weight_kg = "";
+    const instance = sizeChart(node, rows, chartOptions);
+    const largest = () => Math.max(...[...node.querySelectorAll(".x-axis .tick")].map(t => d3.select(t).datum()));
+    assert.ok(largest() < 100);
+    
+    instance.model.updateSelection({missing: "mean"});
+    assert.ok(largest() >= 100);
+    instance.destroy();
+    node.remove();
+});
+
+test("the brush statistics follow the missing-data policy", () => {
+    const node = container();
+    const {rows, options: chartOptions} = options();
+    // A third of the HP values missing, and one outlier to set the median apart from the mean
+    rows.slice(0, 20).forEach(d => {
+        d.HP = "";
+    });
+    rows[20].HP = "500";
+    const instance = parallelChart(node, rows, chartOptions);
+    const {model} = instance;
+    const hpMean = () => [...node.querySelectorAll(".brush-stats-table tbody tr")]
+        .find(tr => tr.firstChild.textContent === model.columnLabel("HP"))
+        .querySelector(".stat-selected").textContent;
+    const expected = () => d3.format(".1f")(d3.mean(rows, d => model.statValue(d, "HP")));
+    
+    model.updateSelection({brushes: {Attack: [0, 1000]}});
+    assert.equal(hpMean(), expected());
+    model.updateSelection({missing: "median"});
+    assert.equal(hpMean(), expected(), "the imputed HP is counted");
+    instance.destroy();
+    node.remove();
+});
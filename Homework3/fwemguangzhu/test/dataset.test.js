@@ -0,0 +1,148 @@
+import "./setup.js";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {buildSchema, convertRows, imputationValues, applyMissingPolicy, missingPolicies, escapeHtml,
+    validateDataset} from "../../../shared/charts/dataset.js";
+import {createModel} from "../../../shared/charts/model.js";
+
+// Blank cells, NA, and the malformed numbers "11o" and "n/a"; Magnemite, Mewtwo and Lugia
+// are genderless, so their blank male ratio is not applicable rather than missing
+const fixture = new URL("./fixtures/missing.csv", import.meta.url);
+
+// The malformed values would make Attack and Defense infer as categorical, so the
+// config names the column types, as the Pokemon schema config does for its own columns
+const config = {
+    name: "Name",
+    categories: ["Type_1"],
+    group: "Generation",
+    flag: "isLegendary",
+    stats: ["HP", "Attack", "Defense"],
+    maleRatio: "Pr_Male",
+    notApplicable: ["Pr_Male"],
+    columns: {HP: "numeric", Attack: "numeric", Defense: "numeric", Pr_Male: "numeric"}
+};
+
+function load() {
+    const rows = d3.csvParse(readFileSync(fixture, "utf8"));
+    return {rows, schema: buildSchema(rows, config, "missing.csv")};
+}
+
+test("convertRows counts missing, malformed and not-applicable values", () => {
+    const {rows, schema} = load();
+    const quality = convertRows(rows, schema);
+    
+    assert.deepEqual(quality.HP, {missing: 1, malformed: 0, notApplicable: 0});
+    assert.deepEqual(quality.Attack, {missing: 1, malformed: 1, notApplicable: 0});
+    assert.deepEqual(quality.Defense, {missing: 1, malformed: 1, notApplicable: 0});
+    assert.deepEqual(quality.Pr_Male, {missing: 0, malformed: 0, notApplicable: 3});
+    assert.ok(Number.isNaN(rows[4].Attack));
+    assert.equal(rows[0].Attack, 49);
+    assert.equal(rows[4].isLegendary, true);
+});
+
+test("imputationValues gives each column's mean and median over its present values", () => {
+    const {rows, schema} = load();
+    convertRows(rows, schema);
+    const imputed = imputationValues(rows, ["HP", "Attack", "Defense"]);
+    
+    assert.equal(imputed.HP.mean, 410 / 7);
+    assert.equal(imputed.HP.median, 45);
+    assert.equal(imputed.Attack.mean, 323 / 6);
+    assert.equal(imputed.Attack.median, 49);
+    assert.equal(imputed.Defense.mean, 60);
+    assert.equal(imputed.Defense.median, 57);
+});
+
+test("applyMissingPolicy fills in NaN only under the imputing policies", () => {
+    const imputed = {mean: 60, median: 57};
+    const expected = {exclude: NaN, mean: 60, median: 57, band: NaN};
+    
+    assert.deepEqual(missingPolicies.map(p => p.key), Object.keys(expected));
+    missingPolicies.forEach(({key}) => {
+        assert.deepEqual(applyMissingPolicy(NaN, key, imputed), expected[key], key);
+        assert.equal(applyMissingPolicy(42, key, imputed), 42, key);
+        assert.equal(applyMissingPolicy("Grass", key, imputed), "Grass", key);
+    });
+});
+
+test("validateDataset skips rows with a malformed stat and keeps missing ones", () => {
+    const rows = d3.csvParse(readFileSync(fixture, "utf8"));
+    const report = validateDataset(rows, config, "missing.csv", true);
+    
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.skipped, 2);
+    assert.deepEqual(report.rows.map(d => d.Name),
+        ["Bulbasaur", "Charmander", "Squirtle", "Magnemite", "Chikorita", "Cyndaquil"]);
+    assert.ok(report.warnings.some(w => w.startsWith("1 non-numeric value in stat column Attack")));
+});
+
+test("the model reports missing counts and draws values under the selected policy", () => {
+    const {rows, schema} = load();
+    const model = createModel(rows, schema);
+    const [bulbasaur, charmander, squirtle, magnemite] = rows;
+    
+    assert.equal(model.missingCount("Attack"), 2);
+    assert.equal(model.missingCount("Defense"), 2);
+    assert.equal(model.missingCount("Pr_Male"), 0);
+    assert.equal(model.missingCount("Name"), 0);
+    
+    assert.ok(Number.isNaN(model.statValue(charmander, "Attack")));
+    assert.equal(model.statValue(bulbasaur, "Attack"), 49);
+    
+    model.updateSelection({missing: "mean"});
+    assert.equal(model.statValue(charmander, "Attack"), 323 / 6);
+    assert.equal(model.statValue(squirtle, "Defense"), 60);
+    assert.ok(model.isImputed(squirtle, "Defense"));
+    assert.ok(Number.isNaN(model.statValue(magnemite, "Pr_Male")), "not-applicable values are never imputed");
+    
+    model.updateSelection({missing: "median"});
+    assert.equal(model.statValue(squirtle, "Defense"), 57);
+    
+    model.updateSelection({missing: "band"});
+    assert.ok(Number.isNaN(model.statValue(squirtle, "Defense")));
+    assert.ok(!model.isImputed(squirtle, "Defense"));
+});
+
+test("escapeHtml leaves no markup in text from a data file", () => {
+    assert.equal(escapeHtml(`<img src=x onerror="alert('x')">`),
+        "&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;");
+    assert.equal(escapeHtml("Fire & Flying"), "Fire &amp; Flying");
+    assert.equal(escapeHtml(0.875), "0.875");
+});
+
+// The Pokemon data without some of its columns
+function pokemonWithout(...dropped) {
+    const text = readFileSync(new URL("../pokemon_alopez247.csv", import.meta.url), "utf8");
+    const rows = d3.csvParse(text, d => {
+        dropped.forEach(column => delete d[column]);
+        return d;
+    });
+    rows.columns = rows.columns.filter(column => !dropped.includes(column));
+    return rows;
+}
+
+const pokemonConfig = JSON.parse(readFileSync(new URL("../../../shared/pokemon_alopez247.schema.json", import.meta.url), "utf8"));
+
+test("validateDataset leaves out only the optional roles whose columns are missing", () => {
+    const report = validateDataset(pokemonWithout("Color", "Catch_Rate"), pokemonConfig, "pokemon.csv", true);
+    
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.config, pokemonConfig, "the config is kept for the next file");
+    assert.equal(report.schema.title, pokemonConfig.title);
+    assert.equal(report.schema.catchRate, null);
+    assert.equal(report.schema.height, "Height_m");
+    assert.deepEqual(report.schema.eggGroups, ["Egg_Group_1", "Egg_Group_2"]);
+    assert.ok(!report.schema.colorColumns.includes("Color"));
+    assert.ok(report.warnings.some(w => w.includes("(Catch_Rate, Color)")));
+});
+
+test("validateDataset needs the name, category and stat columns", () => {
+    const explicit = validateDataset(pokemonWithout("Speed"), pokemonConfig, "pokemon.csv", true);
+    assert.deepEqual(explicit.errors, ["Missing required columns: Speed."]);
+    
+    const current = validateDataset(pokemonWithout("Speed"), pokemonConfig, "pokemon.csv", false);
+    assert.deepEqual(current.errors, []);
+    assert.equal(current.config, null);
+    assert.equal(current.schema.title, "Pokemon Dashboard");
+});
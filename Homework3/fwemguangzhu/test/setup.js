@@ -0,0 +1,25 @@
+// Test environment for the chart modules: d3 v7 as the global d3, as the pages load it,
+// and a jsdom document for the tooltip, announcer and charts to draw into.
+// Import it before any of the modules under test.
+
+import * as d3 from "d3";
+import {JSDOM, VirtualConsole} from "jsdom";
+
+// jsdom's own errors are left out - they only say that it has no canvas
+const virtualConsole = new VirtualConsole().sendTo(console, {omitJSDOMErrors: true});
+const dom = new JSDOM("<!DOCTYPE html><html><body></body></html>",
+    {url: "http://localhost/index.html", pretendToBeVisual: true, virtualConsole});
+
+globalThis.d3 = d3;
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+for (const name of ["Element", "HTMLElement", "SVGElement", "Node", "Event", "KeyboardEvent",
+    "MouseEvent", "navigator", "history", "ResizeObserver", "getComputedStyle",
+    "requestAnimationFrame", "cancelAnimationFrame"]) {
+    if (dom.window[name] && !(name in globalThis)) globalThis[name] = dom.window[name];
+}
+
+// A fresh container for a chart, removed again by the chart's test
+export function container() {
+    return document.body.appendChild(document.createElement("div"));
+}
@@ -0,0 +1,60 @@
+import "./setup.js";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {buildSchema} from "../../../shared/charts/dataset.js";
+import {createModel} from "../../../shared/charts/model.js";
+import {createUrlState} from "../../../shared/charts/url-state.js";
+
+const config = JSON.parse(readFileSync(new URL("../../../shared/pokemon_alopez247.schema.json", import.meta.url), "utf8"));
+
+// A model of the first Pokemon, with the page's hash set to the given one
+function modelAt(hash, count = 40) {
+    history.replaceState(null, "", `/index.html${hash}`);
+    const all = d3.csvParse(readFileSync(new URL("../pokemon_alopez247.csv", import.meta.url), "utf8"));
+    const rows = all.slice(0, count);
+    rows.columns = all.columns;
+    return createModel(rows, buildSchema(rows, config, "pokemon_alopez247.csv"));
+}
+
+test("destroy writes a pending change and stops following the model", () => {
+    const model = modelAt("");
+    const urlState = createUrlState(model);
+    
+    model.updateSelection({types: ["Fire"]});
+    assert.equal(window.location.hash, "", "the change waits for the burst to settle");
+    urlState.destroy();
+    assert.equal(window.location.hash, "#types=Fire");
+    
+    const entries = history.length;
+    model.updateSelection({types: ["Water"]});
+    model.viewChanged();
+    assert.equal(model.selectionEvents.on("change.url"), undefined);
+    assert.equal(model.selectionEvents.on("view.url"), undefined);
+    assert.equal(history.length, entries);
+});
+
+test("restore reads the state a dashboard wrote", () => {
+    const model = modelAt("#types=Water&missing=median&pin=Bulbasaur,Squirtle&focus=Charmander");
+    const urlState = createUrlState(model);
+    
+    assert.deepEqual([...model.selection.types], ["Water"]);
+    assert.equal(model.selection.missing, "median");
+    assert.deepEqual(model.selection.pinned.map(model.rowName), ["Bulbasaur", "Squirtle"]);
+    assert.equal(model.rowName(model.selection.focus), "Charmander");
+    urlState.destroy();
+});
+
+test("restore ignores columns a chart cannot show", () => {
+    const model = modelAt("#x=Name&y=Attack&size=Type_1&color=Egg_Group_1&axes=Name,HP&brush.Name=1,5");
+    const urlState = createUrlState(model);
+    const {schema, view, selection} = model;
+    
+    assert.equal(view.encoding.x, schema.encoding.x, "Name is not numeric");
+    assert.equal(view.encoding.y, "Attack");
+    assert.equal(view.encoding.size, schema.encoding.size);
+    assert.equal(view.encoding.color, schema.encoding.color, "Egg_Group_1 is not a color column");
+    assert.deepEqual([...view.dimensions], schema.dimensions, "Name is not an axis, and two are needed");
+    assert.deepEqual({...selection.brushes}, {});
+    urlState.destroy();
+});
@@ -0,0 +1,145 @@
+// Keyboard and screen-reader support shared by the charts - roving focus over a chart's
+// marks, and a data table that gives a chart's numbers as text
+
+// Keys that activate a focused mark, like a click
+const activateKeys = ["Enter", " "];
+
+// Page position beside a mark, for tooltips opened from the keyboard (matches the
+// pageX/pageY of the mouse events the tooltips are normally placed with)
+export function markEvent(node) {
+    const box = node.getBoundingClientRect();
+    return {
+        pageX: box.right + window.scrollX,
+        pageY: box.top + box.height / 2 + window.scrollY
+    };
+}
+
+// Roving focus over a chart's marks: one mark at a time is in the tab order and the
+// arrow keys move between them. Options:
+//
+//   key(d)                  identifies a mark across redraws
+//   label(d)                its ARIA label, e.g. "Charizard, Fire/Flying, Attack 84, Defense 78"
+//   next(d, key, marks)     the datum to move to for a key (null to stay put), or
+//                           undefined if the chart doesn't handle the key
+//   activate(event, d)      Enter or Space (event.shiftKey as for clicks)
+//   show(event, d), hide(d) called as the mark gains and loses focus (e.g. the tooltip)
+//
+// Returns a function to call with the current marks after every redraw.
+export function keyboardMarks({key, label, next, activate, show, hide}) {
+    let current = null;     // key of the mark in the tab order
+    let marks = d3.select(null);
+    
+    function updateTabStops() {
+        marks.attr("tabindex", d => key(d) === current ? 0 : -1);
+    }
+    
+    return function(selection) {
+        marks = selection;
+        const data = marks.data();
+        if (!data.some(d => key(d) === current)) {
+            current = data.length ? key(data[0]) : null;
+        }
+        
+        marks
+            .attr("role", "button")
+            .attr("aria-label", label)
+            .on("focus.keyboard", function(event, d) {
+                current = key(d);
+                updateTabStops();
+                d3.select(this).attr("aria-describedby", "tooltip");
+                if (show) show.call(this, markEvent(this), d);
+            })
+            .on("blur.keyboard", function(event, d) {
+                d3.select(this).attr("aria-describedby", null);
+                if (hide) hide.call(this, d);
+            })
+            .on("keydown.keyboard", function(event, d) {
+                if (activateKeys.includes(event.key)) {
+                    event.preventDefault();
+                    activate.call(this, event, d);
+                    return;
+                }
+                const target = next(d, event.key, marks.data());
+                if (target === undefined) return;
+                // Handled keys (the arrows) shouldn't also scroll the page
+                event.preventDefault();
+                const node = target && marks.filter(m => key(m) === key(target)).node();
+                if (node) node.focus();
+            });
+        updateTabStops();
+    };
+}
+
+// Let SVG elements that act on a click (legend entries, buttons drawn in the chart) be
+// focused and pressed with Enter or Space
+export function keyboardClickable(selection) {
+    selection
+        .attr("tabindex", 0)
+        .attr("role", "button")
+        .on("keydown.keyboard", function(event) {
+            if (!activateKeys.includes(event.key)) return;
+            event.preventDefault();
+            this.dispatchEvent(new MouseEvent("click", {bubbles: true}));
+        });
+}
+
+// Step through items in a fixed order with the arrow keys, Home and End (for next
+// in keyboardMarks); back and forward are the keys that move to the previous and
+// next item
+export function stepThrough(items, d, key, back, forward) {
+    const i = items.indexOf(d);
+    if (key === "Home") return items[0];
+    if (key === "End") return items[items.length - 1];
+    if (key === back) return i > 0 ? items[i - 1] : null;
+    if (key === forward) return i < items.length - 1 ? items[i + 1] : null;
+    return undefined;
+}
+
+// Data table alternative to a chart, collapsed under the chart. table() returns
+// {caption, columns: [{label, value(d)}], rows}; the first column heads each row.
+// The table is only filled in while open - call the returned refresh function
+// whenever the chart changes. state (the chart's) keeps it open across redraws.
+export function dataTable(root, state, table) {
+    const details = root.append("details")
+        .attr("class", "chart-data-table")
+        .property("open", state.tableOpen || false);
+    
+    details.append("summary")
+        .text("Data table");
+    
+    const tableElement = details.append("table");
+    
+    function refresh() {
+        if (!details.property("open")) return;
+        const {caption, columns, rows} = table();
+        
+        tableElement.selectAll("*").remove();
+        tableElement.append("caption").text(caption);
+        tableElement.append("thead")
+            .append("tr")
+            .selectAll("th")
+            .data(columns)
+            .enter()
+            .append("th")
+            .attr("scope", "col")
+            .text(column => column.label);
+        
+        const body = tableElement.append("tbody");
+        rows.forEach(d => {
+            const row = body.append("tr");
+            columns.forEach((column, i) => {
+                row.append(i === 0 ? "th" : "td")
+                    .attr("scope", i === 0 ? "row" : null)
+                    .text(column.value(d));
+            });
+        });
+    }
+    
+    details.on("toggle", function() {
+        state.tableOpen = this.open;
+        refresh();
+    });
+    
+    refresh();
+    return refresh;
+}
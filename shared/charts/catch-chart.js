@@ -0,0 +1,441 @@
+// 13. Catch Rate Chart - catch rate against total stats, colored by the chance of a
+// capture with the chosen ball, status and remaining HP, with a ranked list of the
+// Pokemon giving the most stats for how hard they are to catch. Its own group filter
+// (generation for Pokemon) narrows both to one group.
+
+import {chartComponent} from "./component.js";
+import {keyboardMarks, stepThrough, dataTable} from "./accessibility.js";
+import {escapeHtml} from "./dataset.js";
+
+export function catchChart(container, data, options = {}) {
+    return chartComponent(container, data, options, drawCatchChart);
+}
+
+// Ball modifiers - the Net Ball only helps against Water and Bug types, and the Master
+// Ball never fails
+const balls = [
+    {key: "poke", label: "Pok\u00e9 Ball", modifier: () => 1},
+    {key: "great", label: "Great Ball", modifier: () => 1.5},
+    {key: "ultra", label: "Ultra Ball", modifier: () => 2},
+    {key: "net", label: "Net Ball", modifier: types => types.some(t => t === "Water" || t === "Bug") ? 3 : 1},
+    {key: "master", label: "Master Ball", modifier: () => Infinity}
+];
+
+const statuses = [
+    {key: "none", label: "No status", modifier: 1},
+    {key: "paralyzed", label: "Paralyzed, poisoned or burned", modifier: 1.5},
+    {key: "asleep", label: "Asleep or frozen", modifier: 2}
+];
+
+// Chance that one ball catches the Pokemon (generation III and IV formula): the modified
+// catch rate a = (3 * max HP - 2 * current HP) / (3 * max HP) * rate * ball * status
+// catches outright from 255, otherwise the ball has to pass four shake checks
+function captureProbability(rate, hpFraction, ballModifier, statusModifier) {
+    const a = (3 - 2 * hpFraction) / 3 * rate * ballModifier * statusModifier;
+    if (a >= 255) return 1;
+    if (!(a > 0)) return 0;
+    const shake = Math.floor(1048560 / Math.sqrt(Math.sqrt(16711680 / a)));
+    return Math.pow(shake / 65536, 4);
+}
+
+// Number of Pokemon in the ranked list
+const rankedCount = 10;
+
+function drawCatchChart({root, data, model, listen, id, state, margin, width, height}) {
+    const {schema, typesOf, typeLabel, groups, groupLabel, columnLabel, rowName, rowKey, selection,
+        focusPokemon, togglePin, isPinned, pinColor, matchesTypes, statValue, isImputed,
+        hasBrushes, matchesBrushes, tooltip} = model;
+    
+    // Ball, status, HP, ranking stat and group carry over when the chart is redrawn
+    let ball = balls.find(b => b.key === state.ball) || balls[0];
+    let status = statuses.find(s => s.key === state.status) || statuses[0];
+    let hpPercent = state.hpPercent || 100;
+    const rankColumns = [schema.total, ...schema.stats].filter(Boolean);
+    let rankColumn = rankColumns.includes(state.rankColumn) ? state.rankColumn : rankColumns[0];
+    let group = groups.some(g => String(g) === state.group) ? state.group : "all";
+    
+    // Both as drawn under the missing-data policy
+    function total(d) {
+        return statValue(d, schema.total);
+    }
+    
+    function catchRate(d) {
+        return statValue(d, schema.catchRate);
+    }
+    
+    function probability(d) {
+        return captureProbability(catchRate(d), hpPercent / 100, ball.modifier(typesOf(d)), status.modifier);
+    }
+    
+    // Balls thrown on average before one catches
+    function expectedBalls(d) {
+        return 1 / probability(d);
+    }
+    
+    // Stats gained per ball thrown, on average - the ranking score
+    function score(d) {
+        return statValue(d, rankColumn) * probability(d);
+    }
+    
+    function inGroup(d) {
+        return group === "all" || String(d[schema.group]) === group;
+    }
+    
+    function hasPosition(d) {
+        return !isNaN(total(d)) && !isNaN(catchRate(d));
+    }
+    
+    const percent = d3.format(".1%");
+    const decimal = d3.format(".1f");
+    const number = d3.format(".4~g");
+    
+    // A Pokemon's value as drawn, marked if it was imputed
+    function valueText(d, column) {
+        const value = number(statValue(d, column));
+        return isImputed(d, column) ? `${value} (imputed)` : value;
+    }
+    
+    // Capture conditions above the chart
+    const controls = root.append("div")
+        .attr("class", "catch-controls");
+    
+    function addSelect(key, label, options, current, change) {
+        controls.append("label")
+            .attr("for", `catch-${key}-${id}`)
+            .text(label);
+        
+        controls.append("select")
+            .attr("id", `catch-${key}-${id}`)
+            .on("change", function() {
+                change(this.value);
+                updateChart();
+            })
+            .selectAll("option")
+            .data(options)
+            .enter()
+            .append("option")
+            .attr("value", option => option.key)
+            .property("selected", option => option.key === current)
+            .text(option => option.label);
+    }
+    
+    addSelect("ball", "Ball:", balls, ball.key, key => {
+        ball = balls.find(b => b.key === key);
+        state.ball = key;
+    });
+    
+    if (schema.group) {
+        addSelect("group", `${columnLabel(schema.group)}:`,
+            [{key: "all", label: "All"}, ...groups.map(g => ({key: String(g), label: groupLabel(g)}))],
+            group, key => {
+                group = state.group = key;
+            });
+    }
+    
+    addSelect("status", "Status:", statuses, status.key, key => {
+        status = statuses.find(s => s.key === key);
+        state.status = key;
+    });
+    
+    controls.append("label")
+        .attr("for", `catch-hp-${id}`)
+        .text("HP:");
+    
+    const hpText = controls.append("span")
+        .attr("class", "catch-hp-value");
+    
+    controls.append("input")
+        .attr("id", `catch-hp-${id}`)
+        .attr("type", "range")
+        .attr("min", 1)
+        .attr("max", 100)
+        .property("value", hpPercent)
+        .on("input", function() {
+            hpPercent = state.hpPercent = +this.value;
+            updateChart();
+        });
+    
+    addSelect("rank", "Rank by:", rankColumns.map(column => ({key: column, label: columnLabel(column)})),
+        rankColumn, key => {
+            rankColumn = state.rankColumn = key;
+        });
+    
+    // Leave room on the right for the probability legend
+    const plotWidth = width - 90;
+    
+    const svgRoot = root.append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom)
+        .attr("role", "group");
+    
+    const svg = svgRoot.append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+    
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(data, total) * 1.05])
+        .range([0, plotWidth])
+        .nice();
+    
+    const y = d3.scaleLinear()
+        .domain([0, Math.max(255, d3.max(data, catchRate) || 0)])
+        .range([height, 0])
+        .nice();
+    
+    const color = d3.scaleSequential(d3.interpolateViridis)
+        .domain([0, 1]);
+    
+    svg.append("g")
+        .attr("class", "x-axis")
+        .attr("transform", `translate(0, ${height})`)
+        .call(d3.axisBottom(x));
+    
+    svg.append("g")
+        .attr("class", "y-axis")
+        .call(d3.axisLeft(y));
+    
+    svg.append("text")
+        .attr("x", plotWidth / 2)
+        .attr("y", height + margin.bottom - 10)
+        .attr("text-anchor", "middle")
+        .text(columnLabel(schema.total));
+    
+    svg.append("text")
+        .attr("transform", "rotate(-90)")
+        .attr("y", -margin.left + 15)
+        .attr("x", -height / 2)
+        .attr("text-anchor", "middle")
+        .text(`${columnLabel(schema.catchRate)} (higher is easier)`);
+    
+    const pointsGroup = svg.append("g")
+        .attr("class", "catch-points");
+    
+    // Probability legend
+    const legendHeight = 150;
+    const legend = svg.append("g")
+        .attr("class", "catch-legend")
+        .attr("transform", `translate(${plotWidth + 25}, 10)`);
+    
+    legend.append("text")
+        .attr("y", -8)
+        .style("font-size", "11px")
+        .style("font-weight", "bold")
+        .text("Capture chance");
+    
+    legend.append("defs")
+        .append("linearGradient")
+        .attr("id", `catch-gradient-${id}`)
+        .attr("x1", "0%")
+        .attr("y1", "100%")
+        .attr("x2", "0%")
+        .attr("y2", "0%")
+        .selectAll("stop")
+        .data(d3.range(0, 1.01, 0.1))
+        .enter()
+        .append("stop")
+        .attr("offset", t => `${t * 100}%`)
+        .attr("stop-color", color);
+    
+    legend.append("rect")
+        .attr("width", 12)
+        .attr("height", legendHeight)
+        .attr("fill", `url(#catch-gradient-${id})`);
+    
+    legend.append("g")
+        .attr("transform", "translate(12, 0)")
+        .call(d3.axisRight(d3.scaleLinear().domain([0, 1]).range([legendHeight, 0]))
+            .ticks(5, "%"));
+    
+    // Ranked list beside the chart
+    const rankPanel = root.append("div")
+        .attr("class", "catch-ranking");
+    
+    const rankHeader = rankPanel.append("div")
+        .attr("class", "catch-ranking-header");
+    
+    const rankTable = rankPanel.append("table")
+        .attr("class", "selection-table");
+    const rankHead = rankTable.append("thead")
+        .append("tr");
+    const rankBody = rankTable.append("tbody");
+    
+    let plottedData = [];
+    let ranked = [];
+    
+    function showPointTooltip(event, d) {
+        const p = probability(d);
+        tooltip
+            .style("opacity", 1)
+            .html(`<strong>${escapeHtml(rowName(d))}</strong><br>${escapeHtml(typeLabel(d))}<br>` +
+                `${escapeHtml(columnLabel(schema.total))}: ${valueText(d, schema.total)}<br>` +
+                `${escapeHtml(columnLabel(schema.catchRate))}: ${valueText(d, schema.catchRate)}<br>` +
+                `Capture chance: ${percent(p)} per ${ball.label}` +
+                (p < 1 ? ` (${decimal(expectedBalls(d))} on average)` : "") + "<br>" +
+                `${escapeHtml(columnLabel(rankColumn))} per ball: ${decimal(score(d))}<br>` +
+                "<em>Click for details, shift-click to compare</em>")
+            .style("left", (event.pageX + 10) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    // Click for details, shift-click to compare
+    function activatePoint(event, d) {
+        if (event.shiftKey) {
+            togglePin(d);
+        } else {
+            focusPokemon(d);
+        }
+    }
+    
+    // The focused and pinned Pokemon get a heavier outline than the ranked ones
+    function pointStroke(d) {
+        if (d === selection.focus) return "#222";
+        if (isPinned(d)) return pinColor(d);
+        return ranked.includes(d) ? "#d62728" : "#fff";
+    }
+    
+    function pointStrokeWidth(d) {
+        return d === selection.focus || isPinned(d) || ranked.includes(d) ? 2.5 : 0.5;
+    }
+    
+    // Points inside the parallel-coordinate brushes stand out from the rest
+    function pointOpacity(d) {
+        if (!hasBrushes()) return 0.8;
+        return matchesBrushes(d) ? 0.9 : 0.15;
+    }
+    
+    // Left and right step through the points by total, up and down by catch rate
+    function pointOrder(value) {
+        return (a, b) => value(a) - value(b) || d3.ascending(rowName(a), rowName(b));
+    }
+    
+    const keyboard = keyboardMarks({
+        key: rowKey,
+        label: d => `${rowName(d)}, ${columnLabel(schema.total)} ${valueText(d, schema.total)}, ` +
+            `${columnLabel(schema.catchRate)} ${valueText(d, schema.catchRate)}, capture chance ${percent(probability(d))}` +
+            (ranked.includes(d) ? `, ranked ${ranked.indexOf(d) + 1}` : "") +
+            (d === selection.focus ? ", shown in details" : "") +
+            (isPinned(d) ? ", pinned" : ""),
+        next: (d, key, points) => {
+            if (key === "ArrowLeft" || key === "ArrowRight" || key === "Home" || key === "End") {
+                return stepThrough(points.slice().sort(pointOrder(total)), d, key, "ArrowLeft", "ArrowRight");
+            }
+            return stepThrough(points.slice().sort(pointOrder(catchRate)), d, key, "ArrowDown", "ArrowUp");
+        },
+        activate: activatePoint,
+        show: showPointTooltip,
+        hide: () => tooltip.style("opacity", 0)
+    });
+    
+    function updateOutlines() {
+        pointsGroup.selectAll(".catch-point")
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth);
+        updateKeyboard();
+    }
+    
+    // Points still on the chart (not the ones fading out) take part in keyboard navigation
+    function updateKeyboard() {
+        const plotted = new Set(plottedData);
+        keyboard(pointsGroup.selectAll(".catch-point").filter(d => plotted.has(d)));
+    }
+    
+    function updateRanking() {
+        // Ranked among the Pokemon passing the type and group filters and every brush,
+        // best score first
+        ranked = plottedData
+            .filter(d => (!hasBrushes() || matchesBrushes(d)) && !isNaN(statValue(d, rankColumn)))
+            .sort((a, b) => score(b) - score(a) || d3.ascending(rowName(a), rowName(b)))
+            .slice(0, rankedCount);
+        
+        rankHeader.text(`Most ${columnLabel(rankColumn)} per ${ball.label} thrown${groupText()}`);
+        rankHead.selectAll("th")
+            .data(["#", "Name", columnLabel(rankColumn), "Chance", "Per ball"])
+            .join("th")
+            .text(label => label);
+        
+        rankBody.selectAll("tr")
+            .data(ranked, rowKey)
+            .join("tr")
+            .classed("current", d => d === selection.focus)
+            .style("cursor", "pointer")
+            .on("click", (event, d) => focusPokemon(d))
+            .html((d, i) => `<td>${i + 1}</td><td>${escapeHtml(rowName(d))}</td>` +
+                `<td>${valueText(d, rankColumn)}</td><td>${percent(probability(d))}</td>` +
+                `<td>${decimal(score(d))}</td>`);
+    }
+    
+    // Redraw the Pokemon passing the filters under the current capture conditions
+    function updateChart() {
+        hpText.text(`${hpPercent}%`);
+        plottedData = data.filter(d => matchesTypes(d) && inGroup(d) && hasPosition(d));
+        updateRanking();
+        
+        pointsGroup.selectAll(".catch-point")
+            .data(plottedData, rowKey)
+            .join(
+                enter => enter.append("circle")
+                    .attr("class", "catch-point")
+                    .attr("cx", d => x(total(d)))
+                    .attr("cy", d => y(catchRate(d)))
+                    .attr("r", 0)
+                    .style("cursor", "pointer")
+                    .on("mouseover", showPointTooltip)
+                    .on("mousemove", showPointTooltip)
+                    .on("mouseout", () => tooltip.style("opacity", 0))
+                    .on("click", activatePoint),
+                update => update,
+                exit => exit.transition()
+                    .duration(500)
+                    .attr("r", 0)
+                    .remove()
+            )
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth)
+            .transition()
+            .duration(500)
+            .attr("cx", d => x(total(d)))
+            .attr("cy", d => y(catchRate(d)))
+            .attr("r", 4)
+            .attr("fill", d => color(probability(d)))
+            .attr("opacity", pointOpacity);
+        
+        // Ranked, focused and pinned points on top
+        pointsGroup.selectAll(".catch-point")
+            .filter(d => ranked.includes(d) || d === selection.focus || isPinned(d))
+            .raise();
+        
+        updateKeyboard();
+        svgRoot.attr("aria-label", `Scatter plot of ${columnLabel(schema.catchRate)} against ` +
+            `${columnLabel(schema.total)}, ${plottedData.length} ${schema.itemLabel}${groupText()}, colored by the chance ` +
+            `of a capture with a ${ball.label} - use the arrow keys to move between points`);
+        refreshTable();
+    }
+    
+    // " in Gen 3" style note of the group filter for the chart and table labels
+    function groupText() {
+        return group === "all" ? "" : ` in ${groupLabel(groups.find(g => String(g) === group))}`;
+    }
+    
+    // The plotted Pokemon with their capture chances, ranked best first
+    const refreshTable = dataTable(root, state, () => ({
+        caption: `Capture chance with a ${ball.label}, ${status.label.toLowerCase()}, at ${hpPercent}% HP, ` +
+            `${plottedData.length} ${schema.itemLabel}${groupText()}`,
+        columns: [
+            {label: "Name", value: rowName},
+            {label: columnLabel(schema.total), value: total},
+            {label: columnLabel(schema.catchRate), value: catchRate},
+            {label: "Capture chance", value: d => percent(probability(d))},
+            {label: `${columnLabel(rankColumn)} per ball`, value: d => decimal(score(d))}
+        ],
+        rows: [...plottedData].sort((a, b) => score(b) - score(a) || d3.ascending(rowName(a), rowName(b)))
+    }));
+    
+    updateChart();
+    
+    // Follow the filters and brushes, and outline the focused and pinned Pokemon
+    listen("change.catch", updateChart);
+    listen("focus.catch", () => {
+        updateOutlines();
+        updateRanking();
+    });
+    listen("pin.catch", updateOutlines);
+}
@@ -0,0 +1,130 @@
+// Common shape of the chart components. Each chart module exports
+// chart(container, data, options), which draws into the container and returns
+//
+//   update(data)        redraw with new rows
+//   destroy()           remove the chart, its listeners and timers
+//   on(type, listener)  listen to the model's "change", "focus", "pin" and "view" events
+//   model               the model the chart reads its selection from
+//
+// Options: model (share one from createModel with other charts), or schema/config,
+// palette and evolutions to build the chart's own model (the schema is inferred from the
+// rows if neither schema nor config is given); width and height of the drawing and its
+// margin; and for the parallel chart, context, a 2D context to draw the lines into instead
+// of its canvas's. Without a width the chart fills its container and is redrawn whenever the
+// container is resized; the selection, the view settings and the chart's own controls
+// (kept in the state passed to the drawing) carry over.
+//
+// Every chart can be used from the keyboard (see accessibility.js) and has a data table
+// under it that gives its numbers as text.
+
+import {buildSchema} from "./dataset.js";
+import {createModel} from "./model.js";
+
+const defaultMargin = {top: 50, right: 80, bottom: 50, left: 50};
+const defaultHeight = 300;
+
+// Narrowest drawing the charts lay out sensibly in; narrower containers scroll
+const minWidth = 480;
+
+// Wait for a resize to settle before redrawing
+const resizeDelay = 150;
+
+// Numbers the charts so their event listeners (and element ids) don't collide
+let chartCount = 0;
+
+export function chartComponent(container, data, options, draw) {
+    const root = d3.select(container);
+    const id = ++chartCount;
+    const margin = {...defaultMargin, ...options.margin};
+    const state = {};       // the drawing's own settings (e.g. modes), kept across redraws
+    
+    let schema = options.schema || null;
+    let model = null;
+    let rows = data;
+    let listeners = [];     // "type.name" of every model listener the drawing added
+    let cleanup = null;     // stops the drawing's timers, if it has any
+    const external = new Map();  // listeners added through on(), kept across updates
+    
+    // Outer width from the options, else the container's current width
+    function measureWidth() {
+        return options.width || Math.max(minWidth, root.node().clientWidth || 900);
+    }
+    
+    // The shared model, or a new one of the chart's own for the current rows
+    function resolveModel() {
+        if (options.model) {
+            model = options.model;
+        } else {
+            schema = schema || buildSchema(rows, options.config, options.source || "data");
+            model = createModel(rows, schema, {palette: options.palette, evolutions: options.evolutions});
+        }
+        external.forEach((listener, type) => model.selectionEvents.on(type, listener));
+    }
+    
+    function build() {
+        // Listener names get the chart's number, so two charts of a kind can share a model
+        function listen(type, listener) {
+            const name = `${type}-${id}`;
+            listeners.push(name);
+            model.selectionEvents.on(name, listener);
+        }
+        
+        const width = measureWidth() - margin.left - margin.right;
+        const height = (options.height || defaultHeight) - margin.top - margin.bottom;
+        cleanup = draw({root, data: rows, model, listen, id, state, margin, width, height, options});
+    }
+    
+    // Redraw at the container's new width once it stops changing
+    let observer = null;
+    if (!options.width && typeof ResizeObserver !== "undefined") {
+        let drawnWidth = measureWidth();
+        let resizeTimer = null;
+        observer = new ResizeObserver(() => {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(() => {
+                if (measureWidth() === drawnWidth) return;
+                drawnWidth = measureWidth();
+                teardown();
+                build();
+            }, resizeDelay);
+        });
+        observer.observe(root.node());
+    }
+    
+    function teardown() {
+        listeners.forEach(name => model.selectionEvents.on(name, null));
+        listeners = [];
+        if (cleanup) cleanup();
+        cleanup = null;
+        root.selectAll("*").interrupt().remove();
+        model.tooltip.style("opacity", 0);
+    }
+    
+    const chart = {
+        update(newRows) {
+            rows = newRows;
+            teardown();
+            resolveModel();
+            build();
+            return chart;
+        },
+        destroy() {
+            if (observer) observer.disconnect();
+            teardown();
+            external.forEach((listener, type) => model.selectionEvents.on(type, null));
+            external.clear();
+        },
+        on(type, listener) {
+            external.set(type, listener);
+            model.selectionEvents.on(type, listener);
+            return chart;
+        },
+        get model() {
+            return model;
+        }
+    };
+    
+    resolveModel();
+    build();
+    return chart;
+}
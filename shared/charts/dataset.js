@@ -0,0 +1,301 @@
+// Dataset helpers shared by the dashboards and the chart components: schema inference,
+// converting CSV strings, missing-data policies, and parsing and validating imported files.
+// Like the charts, they expect d3 v7 as the global d3.
+
+// Spellings of a missing value, treated like a blank cell
+const missingValues = new Set(["", "NA", "N/A", "NULL", "NaN", "null"]);
+
+// Both also accept values that were already converted, so converting rows twice
+// (e.g. a chart updated with rows it was given before) leaves them as they are
+export function isMissing(value) {
+    return value == null || Number.isNaN(value) || missingValues.has(value);
+}
+
+export function isNumber(value) {
+    if (typeof value === "number") return !isNaN(value);
+    return String(value).trim() !== "" && !isNaN(+value);
+}
+
+// Column type of a CSV column from its non-blank values; a column counts as numeric
+// when nearly all of its values are numbers, so a few typos are reported instead
+function inferColumnType(values) {
+    if (values.length === 0) return "categorical";
+    if (values.every(v => /^(true|false)$/i.test(v))) return "boolean";
+    if (values.filter(isNumber).length >= values.length * 0.95) return "numeric";
+    return "categorical";
+}
+
+// Build the schema from the config, inferring whatever it leaves out.
+// Inferred: column types, the name, category, group and flag columns, the stats,
+// the default parallel axes and the scatter encoding (one point color if no column fits).
+// Config only: the id, mega, size chart, breeding and catch rate columns, and the
+// columns where a blank means "not applicable" (the male ratio of genderless Pokemon).
+export function buildSchema(data, config, source) {
+    config = config || {};
+    const columns = data.columns;
+    const types = {};
+    const distinct = {};
+    columns.forEach(column => {
+        const values = data.map(d => d[column]).filter(v => !isMissing(v));
+        types[column] = (config.columns && config.columns[column]) || inferColumnType(values);
+        distinct[column] = new Set(values).size;
+    });
+    const ofType = type => columns.filter(column => types[column] === type);
+    const categorical = ofType("categorical");
+    const numeric = ofType("numeric");
+    const boolean = ofType("boolean");
+    
+    // Name: the categorical column with the most distinct values
+    const name = config.name || categorical.reduce((best, column) =>
+        best == null || distinct[column] > distinct[best] ? column : best, null);
+    
+    const categories = config.categories ||
+        categorical.filter(c => c !== name && distinct[c] >= 3 && distinct[c] <= 30).slice(0, 1);
+    
+    // Group: a low-cardinality column, categorical before numeric
+    const group = config.group !== undefined ? config.group :
+        [...categorical, ...numeric].find(c => c !== name && !categories.includes(c) &&
+            distinct[c] >= 2 && distinct[c] <= 10) || null;
+    
+    const flag = config.flag !== undefined ? config.flag : boolean[0] || null;
+    
+    // Stats: the first six numeric columns that look like measurements
+    const measures = numeric.filter(c => c !== group && distinct[c] > 10);
+    const stats = config.stats || (measures.length >= 3 ? measures : numeric).slice(0, 6);
+    const total = config.total || null;
+    
+    const label = config.itemLabel || source.split("/").pop().replace(/\..*$/, "");
+    const itemLabel = label.charAt(0).toUpperCase() + label.slice(1);
+    
+    return {
+        columns, numeric, boolean, categorical, name, categories, group, flag, stats, total,
+        id: config.id || null,
+        mega: config.mega || null,
+        height: config.height || null,
+        weight: config.weight || null,
+        bodyStyle: config.bodyStyle || null,
+        eggGroups: config.eggGroups || null,
+        gender: config.gender || null,
+        maleRatio: config.maleRatio || null,
+        catchRate: config.catchRate || null,
+        notApplicable: config.notApplicable || [],
+        itemLabel,
+        title: config.title || `${itemLabel} Dashboard`,
+        categoryLabel: config.categoryLabel || (categories.length ? categories[0] : "Category"),
+        groupLabel: config.groupLabel || null,
+        flagLabels: config.flagLabels || (flag ? [`Not ${flag}`, flag] : []),
+        dimensions: config.dimensions || stats,
+        encoding: Object.assign({
+            x: stats[0],
+            y: stats[1] || stats[0],
+            size: total || stats[2] || stats[0],
+            color: flag || group || categories[0] || null
+        }, config.encoding),
+        // Low-cardinality columns that make sensible color encodings and categorical axes
+        colorColumns: config.colorColumns || [...boolean, ...categorical, ...numeric].filter(c =>
+            c !== name && (c === group || categories.includes(c) || types[c] === "boolean" ||
+                (types[c] === "categorical" && distinct[c] <= 20))),
+        axisCategories: [...new Set([group, ...boolean, ...categorical].filter(c =>
+            c && c !== name && distinct[c] <= 30))],
+        labels: config.labels || {},
+        categoryColors: config.categoryColors || {},
+        colors: config.colors || {}
+    };
+}
+
+// Convert CSV strings in place - missing and malformed numbers become NaN, other missing
+// values blank, booleans are "True"/"False". Returns how many values of each numeric
+// column were missing or malformed, and how many were blank in a "not applicable" column
+// (those aren't missing, so they don't count as such).
+export function convertRows(data, schema) {
+    const quality = {};
+    const notApplicable = schema.notApplicable || [];
+    schema.numeric.forEach(column => {
+        quality[column] = {missing: 0, malformed: 0, notApplicable: 0};
+    });
+    data.forEach(d => {
+        schema.categorical.forEach(column => {
+            if (isMissing(d[column])) d[column] = "";
+        });
+        schema.numeric.forEach(column => {
+            const value = d[column];
+            if (isMissing(value)) {
+                quality[column][notApplicable.includes(column) ? "notApplicable" : "missing"]++;
+                d[column] = NaN;
+            } else if (!isNumber(value)) {
+                quality[column].malformed++;
+                d[column] = NaN;
+            } else {
+                d[column] = +value;
+            }
+        });
+        schema.boolean.forEach(column => {
+            d[column] = /^true$/i.test(d[column]);
+        });
+    });
+    return quality;
+}
+
+// Ways to handle a missing number: leave the row out, fill in the column's mean or
+// median, or keep it apart in a "missing" band under each axis
+export const missingPolicies = [
+    {key: "exclude", label: "Exclude"},
+    {key: "mean", label: "Impute mean"},
+    {key: "median", label: "Impute median"},
+    {key: "band", label: "Show as missing band"}
+];
+
+// Mean and median of each numeric column over its present values, for imputing
+export function imputationValues(data, columns) {
+    const values = {};
+    columns.forEach(column => {
+        const present = data.map(d => d[column]).filter(v => !isNaN(v));
+        values[column] = {mean: d3.mean(present), median: d3.median(present)};
+    });
+    return values;
+}
+
+// A converted value under a missing-data policy - imputing policies fill in NaN,
+// the others leave it for the chart to exclude or put in the missing band
+export function applyMissingPolicy(value, policy, imputed) {
+    if (typeof value !== "number" || !isNaN(value)) return value;
+    return policy === "mean" || policy === "median" ? imputed[policy] : NaN;
+}
+
+const htmlEntities = {"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"};
+
+// Text from a data file (a name, value or column name) made safe to build HTML with,
+// since an imported file can hold markup
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => htmlEntities[c]);
+}
+
+// Rows from the text of a CSV file, or of a JSON file holding an array of objects
+export function parseDataFile(text, fileName) {
+    if (!/\.json$/i.test(fileName)) return d3.csvParse(text);
+    
+    const records = JSON.parse(text);
+    if (!Array.isArray(records) || !records.every(r => r && typeof r === "object")) {
+        throw new Error("A JSON data file must hold an array of objects, one per row");
+    }
+    // Same shape as parsed CSV: string values and a columns list
+    const columns = [...new Set(records.flatMap(Object.keys))];
+    const rows = records.map(record => {
+        const row = {};
+        columns.forEach(column => {
+            row[column] = record[column] == null ? "" : String(record[column]);
+        });
+        return row;
+    });
+    rows.columns = columns;
+    return rows;
+}
+
+// Columns a schema config can't do without - the name, category and stat columns
+export function requiredColumns(config) {
+    return [...new Set([config.name, ...(config.categories || []), ...(config.stats || [])].filter(Boolean))];
+}
+
+// Roles of a schema config that hold one column, and ones that hold a list of them
+const optionalRoles = ["group", "flag", "total", "id", "mega", "height", "weight", "bodyStyle",
+    "gender", "maleRatio", "catchRate"];
+const optionalLists = ["eggGroups", "dimensions", "colorColumns", "notApplicable"];
+
+// The config without the optional roles whose columns the data lacks, and those columns.
+// A role left out becomes null (the views that need it are left out), a list keeps the
+// columns the data has, and an encoding channel falls back to the inferred default.
+function withoutMissingColumns(config, columns) {
+    const has = column => columns.includes(column);
+    const missing = new Set();
+    const fitted = {...config};
+    optionalRoles.forEach(role => {
+        if (config[role] && !has(config[role])) {
+            missing.add(config[role]);
+            fitted[role] = null;
+        }
+    });
+    optionalLists.forEach(role => {
+        if (!config[role]) return;
+        config[role].filter(column => !has(column)).forEach(column => missing.add(column));
+        const kept = config[role].filter(has);
+        // Both egg groups are needed to tell which Pokemon can breed
+        fitted[role] = kept.length === config[role].length ? config[role] :
+            role === "eggGroups" || kept.length === 0 ? undefined : kept;
+    });
+    if (config.encoding) {
+        fitted.encoding = {};
+        Object.entries(config.encoding).forEach(([channel, column]) => {
+            if (has(column)) fitted.encoding[channel] = column;
+            else missing.add(column);
+        });
+    }
+    return {config: fitted, missing: [...missing]};
+}
+
+// Check rows against the schema config before anything is drawn. Returns the schema and
+// rows to draw, plus errors (the data can't be shown) and warnings (it is shown anyway).
+// A config that was picked explicitly must have its required columns in the data; the one
+// already in use is dropped for an inferred schema when the data lacks them. Either way,
+// optional roles whose columns are missing are left out one by one.
+export function validateDataset(rows, config, source, explicitConfig) {
+    const errors = [];
+    const warnings = [];
+    const columns = rows.columns || [];
+    
+    if (rows.length === 0) {
+        return {errors: ["The file has no data rows."], warnings, rows: [], skipped: 0, config};
+    }
+    
+    const missing = config ? requiredColumns(config).filter(c => !columns.includes(c)) : [];
+    if (missing.length && explicitConfig) {
+        errors.push(`Missing required columns: ${missing.join(", ")}.`);
+    } else if (missing.length) {
+        warnings.push(`Missing columns required by the current schema (${missing.join(", ")}), ` +
+            "so column roles were inferred from the file instead.");
+        config = null;
+    }
+    if (errors.length) return {errors, warnings, rows: [], skipped: 0, config};
+    
+    // The config as given is kept for the next file; the schema uses the columns this one has
+    let fitted = config;
+    if (config) {
+        const optional = withoutMissingColumns(config, columns);
+        fitted = optional.config;
+        if (optional.missing.length) {
+            warnings.push(`Missing optional columns (${optional.missing.join(", ")}), ` +
+                "so the parts of the dashboard that use them are left out.");
+        }
+    }
+    
+    const schema = buildSchema(rows, fitted, source);
+    if (schema.numeric.length === 0) errors.push("The file has no numeric columns to plot.");
+    
+    // Rows with a non-numeric value in a stat column are skipped; in other numeric
+    // columns the value is treated as missing
+    const statColumns = [...schema.stats, schema.total].filter(Boolean);
+    const badValue = (d, column) => !isMissing(d[column]) && !isNumber(d[column]);
+    const kept = rows.filter(d => !statColumns.some(column => badValue(d, column)));
+    kept.columns = columns;
+    
+    schema.numeric.forEach(column => {
+        const bad = rows.filter(d => badValue(d, column));
+        if (bad.length === 0) return;
+        const examples = [...new Set(bad.map(d => d[column]))].slice(0, 3).map(v => `"${v}"`).join(", ");
+        warnings.push(`${bad.length} non-numeric value${bad.length > 1 ? "s" : ""} in ` +
+            `${statColumns.includes(column) ? "stat" : "numeric"} column ${column} (e.g. ${examples}).`);
+    });
+    
+    const skipped = rows.length - kept.length;
+    if (rows.length && kept.length === 0) errors.push("Every row has a non-numeric stat value.");
+    
+    if (schema.name) {
+        const counts = d3.rollup(rows, group => group.length, d => d[schema.name]);
+        const duplicates = [...counts].filter(([name, count]) => count > 1 && !isMissing(name));
+        if (duplicates.length) {
+            warnings.push(`${duplicates.length} duplicate name${duplicates.length > 1 ? "s" : ""} in ` +
+                `${schema.name} (e.g. ${duplicates.slice(0, 3).map(([name]) => name).join(", ")}).`);
+        }
+    }
+    
+    return {errors, warnings, rows: kept, skipped, config, schema};
+}
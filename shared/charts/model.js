@@ -0,0 +1,295 @@
+// Shared model behind the charts: the converted rows, the schema-derived helpers
+// (colors, labels, keys) and the selection every chart reads from and writes to.
+// Charts built with the same model filter and highlight together.
+
+import {convertRows, imputationValues, applyMissingPolicy} from "./dataset.js";
+
+// Color schemes for the charts. "colorblind" replaces the schema's type colors and the
+// default palettes with ones that stay distinguishable under the common color vision
+// deficiencies - Okabe and Ito's eight colors, and Paul Tol's muted and light schemes
+// for the longer lists (such as the 18 Pokemon types)
+export const palettes = {
+    standard: {
+        label: "Standard",
+        categorical: d3.schemeTableau10.concat(d3.schemeSet2),
+        groups: d3.schemeTableau10,
+        flag: ["#4682B4", "#FFD700"],
+        single: "steelblue",
+        schemaColors: true
+    },
+    colorblind: {
+        label: "Colorblind-safe",
+        categorical: ["#332288", "#88CCEE", "#44AA99", "#117733", "#999933", "#DDCC77",
+            "#CC6677", "#882255", "#AA4499", "#77AADD", "#99DDFF", "#44BB99",
+            "#BBCC33", "#AAAA00", "#EEDD88", "#EE8866", "#FFAABB", "#DDDDDD"],
+        groups: ["#0072B2", "#E69F00", "#009E73", "#CC79A7", "#56B4E9", "#D55E00", "#F0E442", "#000000"],
+        flag: ["#0072B2", "#E69F00"],
+        single: "#0072B2",
+        schemaColors: false
+    }
+};
+
+// Build the model for a dataset; converts the rows in place (see convertRows).
+// Options: palette, the name of one of the palettes above (standard by default), and
+// evolutions, a mapping from each evolved Pokemon's id (the schema's id column) to the
+// id of the Pokemon it evolves from
+export function createModel(data, schema, options = {}) {
+    // Data preprocessing - convert strings to numbers/booleans
+    const quality = convertRows(data, schema);
+    // A blank in a "not applicable" column is kept as it is under every policy
+    const imputed = imputationValues(data, schema.numeric.filter(c => !schema.notApplicable.includes(c)));
+    
+    // "Types" are the values of the schema's category columns (Type_1 and Type_2 for Pokemon)
+    function typesOf(d) {
+        return schema.categories.map(column => d[column]).filter(Boolean);
+    }
+    
+    const allTypes = [...new Set(data.flatMap(typesOf))].sort();
+    
+    // Color scales for consistent coloring across charts
+    const palette = palettes[options.palette] || palettes.standard;
+    const typeColor = d3.scaleOrdinal()
+        .domain(allTypes)
+        .range(allTypes.map((type, i) => (palette.schemaColors && schema.categoryColors[type]) ||
+            palette.categorical[i % palette.categorical.length]));
+    
+    // Values of the group column (generations for Pokemon), each with its own color
+    const groups = schema.group ? [...new Set(data.map(d => d[schema.group]))].sort(d3.ascending) : [];
+    const groupColors = d3.scaleOrdinal()
+        .domain(groups)
+        .range(palette.groups);
+    
+    function groupColor(d) {
+        return schema.group ? groupColors(d[schema.group]) : palette.single;
+    }
+    
+    function groupLabel(value) {
+        return schema.groupLabel ? `${schema.groupLabel} ${value}` : String(value);
+    }
+    
+    // Legend text and colors for the boolean flag column (legendary status for Pokemon)
+    function flagLabel(value) {
+        return schema.flagLabels[value ? 1 : 0];
+    }
+    
+    const flagColors = d3.scaleOrdinal()
+        .domain([false, true])
+        .range(palette.flag);
+    
+    // Display names for CSV columns used in axis titles, legends and dropdowns
+    function columnLabel(column) {
+        return schema.labels[column] || column.replace(/_/g, " ");
+    }
+    
+    // Display name of a row, e.g. a Pokemon's name
+    function rowName(d) {
+        return schema.name ? d[schema.name] : "";
+    }
+    
+    // Stable key for data joins, since names need not be unique
+    const rowKeys = new Map(data.map((d, i) => [d, i]));
+    function rowKey(d) {
+        return rowKeys.get(d);
+    }
+    
+    // "Fire/Flying" style label for a Pokemon's types
+    function typeLabel(d) {
+        return typesOf(d).join("/");
+    }
+    
+    // Evolution links from the mapping, both ways; ids missing from the data are skipped
+    const evolvesFrom = new Map();
+    const evolvesInto = new Map();
+    if (schema.id && options.evolutions) {
+        const rowsById = new Map(data.map(d => [String(d[schema.id]), d]));
+        Object.entries(options.evolutions).forEach(([id, fromId]) => {
+            const d = rowsById.get(id);
+            const from = rowsById.get(String(fromId));
+            if (!d || !from || d === from) return;
+            evolvesFrom.set(d, from);
+            evolvesInto.set(from, [...(evolvesInto.get(from) || []), d]);
+        });
+    }
+    const hasEvolutions = evolvesFrom.size > 0;
+    
+    // A Pokemon's evolution family - its first stage, then each later stage - and the
+    // [from, into] links between them (a family of one when it doesn't evolve)
+    function evolutionFamily(d) {
+        let base = d;
+        const seen = new Set([d]);
+        while (evolvesFrom.has(base) && !seen.has(evolvesFrom.get(base))) {
+            base = evolvesFrom.get(base);
+            seen.add(base);
+        }
+        const members = [base];
+        const links = [];
+        for (let i = 0; i < members.length; i++) {
+            (evolvesInto.get(members[i]) || []).forEach(next => {
+                if (members.includes(next)) return;
+                members.push(next);
+                links.push([members[i], next]);
+            });
+        }
+        return {members, links};
+    }
+    
+    // True if the Pokemon can mega evolve (the schema's mega flag)
+    function canMegaEvolve(d) {
+        return Boolean(schema.mega) && d[schema.mega] === true;
+    }
+
+    // Shared selection model - every chart reads from and writes to this state
+    // so that a filter made in one view is reflected in the others
+    const selection = {
+        types: [],      // types picked from the radar points or the type dropdown
+        typePair: null, // [Type_1, Type_2] picked in the type matrix ("None" = no second type)
+        brushes: {},    // parallel-coordinate brushes, keyed by dimension
+        focus: null,    // Pokemon shown in the detail card
+        pinned: [],     // Pokemon pinned to the compare tray
+        megaOnly: false, // only Pokemon that can mega evolve
+        bodyStyle: null, // body style picked in the size chart
+        missing: "exclude" // missing-data policy for numeric values (see missingPolicies)
+    };
+    const selectionEvents = d3.dispatch("change", "focus", "pin", "view");
+    const maxPinned = 6;
+    
+    // View settings kept in the URL along with the selection - the scatter encoding and
+    // the parallel axes. A chart that changes them calls viewChanged; charts apply
+    // settings changed elsewhere (e.g. by the URL) when the "view" event fires.
+    const view = {
+        encoding: {...schema.encoding},
+        dimensions: [...schema.dimensions]
+    };
+    
+    function viewChanged() {
+        selectionEvents.call("view", null, view);
+    }
+
+    // Merge changes into the selection and notify every chart
+    function updateSelection(changes) {
+        Object.assign(selection, changes);
+        selectionEvents.call("change", null, selection);
+    }
+
+    // Show a single Pokemon in the detail card (null closes it)
+    function focusPokemon(d) {
+        selection.focus = d;
+        selectionEvents.call("focus", null, d);
+    }
+
+    // Pin a Pokemon to the compare tray, or unpin it; returns false when the tray is full
+    function togglePin(d) {
+        if (selection.pinned.includes(d)) {
+            setPinned(selection.pinned.filter(p => p !== d));
+        } else if (selection.pinned.length < maxPinned) {
+            setPinned([...selection.pinned, d]);
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    function setPinned(pinned) {
+        selection.pinned = pinned;
+        selectionEvents.call("pin", null, pinned);
+    }
+
+    function isPinned(d) {
+        return selection.pinned.includes(d);
+    }
+
+    // Color of a pinned Pokemon in every view - its primary type color unless an
+    // earlier pin already uses it, then its secondary type color, then a fallback
+    function pinColor(d) {
+        const used = [];
+        for (const p of selection.pinned) {
+            const color = [...typesOf(p).map(typeColor), ...palette.groups]
+                .find(c => !used.includes(c));
+            if (p === d) return color;
+            used.push(color);
+        }
+        return null;
+    }
+
+    // True if the Pokemon has one of the selected types (or no type is selected)
+    // and has the type pairing picked in the type matrix and the body style picked in
+    // the size chart (if any); with the mega filter on, it must also be able to mega evolve
+    function matchesTypes(d) {
+        if (selection.megaOnly && !canMegaEvolve(d)) return false;
+        if (selection.bodyStyle && d[schema.bodyStyle] !== selection.bodyStyle) return false;
+        const pair = selection.typePair;
+        if (pair && (d[schema.categories[0]] !== pair[0] || (d[schema.categories[1]] || "None") !== pair[1])) {
+            return false;
+        }
+        return selection.types.length === 0 ||
+            typesOf(d).some(type => selection.types.includes(type));
+    }
+
+    // A numeric field as the charts draw it under the missing-data policy
+    function statValue(d, column) {
+        return imputed[column] ? applyMissingPolicy(d[column], selection.missing, imputed[column]) : d[column];
+    }
+    
+    function isImputed(d, column) {
+        return imputed[column] != null && isNaN(d[column]) && !isNaN(statValue(d, column));
+    }
+    
+    // Missing plus malformed values of a numeric column
+    function missingCount(column) {
+        return quality[column] ? quality[column].missing + quality[column].malformed : 0;
+    }
+
+    // True if at least one stat brush is active
+    function hasBrushes() {
+        return Object.keys(selection.brushes).length > 0;
+    }
+
+    // True if the Pokemon falls inside every active brush - a [min, max] range on
+    // numeric axes, or a {categories} list on categorical ones
+    function matchesBrushes(d) {
+        return Object.entries(selection.brushes).every(([dim, range]) => {
+            if (range.categories) {
+                return range.categories.includes(d[dim] === "" ? "None" : String(d[dim]));
+            }
+            const value = statValue(d, dim);
+            return value >= range[0] && value <= range[1];
+        });
+    }
+    
+    // Tooltip shared by every chart - the page's #tooltip, or one added for pages without it
+    let tooltip = d3.select("#tooltip");
+    if (tooltip.empty()) {
+        tooltip = d3.select("body")
+            .append("div")
+            .attr("class", "tooltip")
+            .attr("id", "tooltip");
+    }
+    // Marks with keyboard focus point screen readers at it with aria-describedby
+    tooltip.attr("role", "tooltip");
+    
+    // Live region that reads out what keyboard actions change (e.g. a moved brush)
+    let announcer = d3.select("#chart-announcer");
+    if (announcer.empty()) {
+        announcer = d3.select("body")
+            .append("div")
+            .attr("class", "sr-only")
+            .attr("id", "chart-announcer")
+            .attr("role", "status")
+            .attr("aria-live", "polite");
+    }
+    
+    function announce(message) {
+        announcer.text(message);
+    }
+    
+    return {
+        data, schema, quality, imputed,
+        palette, typesOf, allTypes, typeColor, typeLabel,
+        groups, groupColors, groupColor, groupLabel, flagLabel, flagColors,
+        columnLabel, rowName, rowKey, hasEvolutions, evolutionFamily, canMegaEvolve,
+        selection, selectionEvents, maxPinned, view, viewChanged,
+        updateSelection, focusPokemon, togglePin, setPinned, isPinned, pinColor,
+        matchesTypes, statValue, isImputed, missingCount, hasBrushes, matchesBrushes,
+        tooltip, announce
+    };
+}
@@ -0,0 +1,1104 @@
+// 2. Parallel Coordinates Plot - Compares stats across Pokemon, with draggable and
+// removable axes, brushes that filter the other charts, and a brush statistics panel
+
+import {chartComponent} from "./component.js";
+import {keyboardClickable, stepThrough, dataTable} from "./accessibility.js";
+import {escapeHtml} from "./dataset.js";
+
+export function parallelChart(container, data, options = {}) {
+    return chartComponent(container, data, options, drawParallelChart);
+}
+
+function drawParallelChart({root, data, model, listen, id, state, margin, width, height, options}) {
+    const {schema, typeLabel, groups, groupColors, groupColor, groupLabel, flagLabel,
+        flagColors, columnLabel, rowName, selection, view, viewChanged, updateSelection,
+        focusPokemon, togglePin, pinColor, matchesTypes, statValue, missingCount,
+        hasBrushes, matchesBrushes, evolutionFamily, tooltip, announce} = model;
+    
+    const svgWidth = width + margin.left + margin.right;
+    const svgHeight = height + margin.top + margin.bottom + 40;
+    
+    // Lines go on a canvas underneath the SVG axes and brushes
+    const plotArea = root
+        .append("div")
+        .attr("class", "parallel-plot");
+    
+    const canvas = plotArea.append("canvas");
+    
+    // Create SVG container
+    const svg = plotArea
+        .append("svg")
+        .attr("width", svgWidth)
+        .attr("height", svgHeight)
+        .append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+    
+    // Columns that can be shown as axes; categorical ones get a point scale
+    const categoricalDimensions = schema.axisCategories;
+    const numericDimensions = schema.numeric.filter(dim => !categoricalDimensions.includes(dim));
+    
+    // Axes to display - the shared view's, plus any brushed axis it lacks, so a redrawn
+    // chart keeps its axes and brushes
+    const dimensions = view.dimensions.filter(dim =>
+        numericDimensions.includes(dim) || categoricalDimensions.includes(dim));
+    Object.keys(selection.brushes).forEach(dim => {
+        if (!dimensions.includes(dim)) dimensions.push(dim);
+    });
+    
+    // Axes flipped by double-clicking their titles
+    const inverted = state.inverted || (state.inverted = new Set());
+    
+    function isCategorical(dim) {
+        return categoricalDimensions.includes(dim);
+    }
+    
+    // Category of a Pokemon on a categorical axis (blank secondary columns become "None")
+    function categoryOf(d, dim) {
+        return d[dim] === "" || Number.isNaN(d[dim]) ? "None" : String(d[dim]);
+    }
+    
+    // Numeric axes stop short of the bottom when missing values get their own band
+    const bandHeight = 24;
+    let shownPolicy = selection.missing;
+    
+    function numericBottom() {
+        return shownPolicy === "band" ? height - bandHeight : height;
+    }
+    
+    // Create the scale for a dimension - linear for numbers, points for categories
+    const y = {};
+    function createScale(dim) {
+        const bottom = isCategorical(dim) ? height : numericBottom();
+        const range = inverted.has(dim) ? [0, bottom] : [bottom, 0];
+        if (isCategorical(dim)) {
+            const categories = [...new Set(data.map(d => categoryOf(d, dim)))]
+                .sort(d3.ascending);
+            return d3.scalePoint()
+                .domain(categories)
+                .range(range)
+                .padding(0.5);
+        }
+        return d3.scaleLinear()
+            .domain(d3.extent(data, d => d[dim]))
+            .range(range);
+    }
+    dimensions.forEach(dim => {
+        y[dim] = createScale(dim);
+    });
+    
+    // X scale for positioning dimensions
+    const x = d3.scalePoint()
+        .domain(dimensions)
+        .range([0, width])
+        .padding(0.5);
+    
+    // Axis positions while an axis is being dragged
+    const dragging = {};
+    
+    function position(dim) {
+        return dragging[dim] == null ? x(dim) : dragging[dim];
+    }
+    
+    // Fixed random offsets that spread lines sharing a category across its slot
+    const jitter = new Map();
+    function jitterOf(d, dim) {
+        if (!jitter.has(d)) jitter.set(d, {});
+        const offsets = jitter.get(d);
+        if (offsets[dim] == null) offsets[dim] = Math.random() - 0.5;
+        return offsets[dim];
+    }
+    
+    // Blanks in a "not applicable" column (e.g. the male ratio of genderless Pokemon)
+    // aren't missing, so they always leave a gap and never drop the line
+    function isNotApplicable(d, dim) {
+        return schema.notApplicable.includes(dim) && isNaN(d[dim]);
+    }
+    
+    // Vertical position of a Pokemon on an axis; missing values sit in the missing band
+    // (or leave a gap in the line when there is none)
+    function yPosition(d, dim) {
+        if (isCategorical(dim)) {
+            return y[dim](categoryOf(d, dim)) + jitterOf(d, dim) * y[dim].step() * 0.6;
+        }
+        const value = statValue(d, dim);
+        if (isNaN(value)) {
+            return shownPolicy === "band" && !isNotApplicable(d, dim) ?
+                height - bandHeight / 2 + jitterOf(d, dim) * bandHeight * 0.6 : NaN;
+        }
+        return y[dim](value);
+    }
+    
+    // Lines shown for the type filter; "exclude" also drops rows missing a shown value
+    function isDrawn(d) {
+        return matchesTypes(d) && (shownPolicy !== "exclude" ||
+            dimensions.every(dim => isCategorical(dim) || !isNaN(d[dim]) || isNotApplicable(d, dim)));
+    }
+    
+    // Size the canvas for the screen's pixel density and use the SVG's margins
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas
+        .attr("width", svgWidth * pixelRatio)
+        .attr("height", svgHeight * pixelRatio)
+        .style("width", `${svgWidth}px`)
+        .style("height", `${svgHeight}px`);
+    
+    // The lines' 2D context - options.context, else the canvas's; without either (e.g. under
+    // jsdom, which has no canvas) the chart is drawn without its lines
+    const context = options.context || canvas.node().getContext("2d");
+    if (context) {
+        context.scale(pixelRatio, pixelRatio);
+        context.translate(margin.left, margin.top);
+    }
+    
+    // Line generator for the parallel coordinates, drawing straight to the canvas
+    const line = d3.line()
+        .defined(p => !isNaN(p[1]))
+        .context(context);
+    
+    // Screen points of every line as currently drawn, so transitions can start from them
+    const linePoints = new Map();
+    
+    function targetPoints(d) {
+        return dimensions.map(dim => [position(dim), yPosition(d, dim)]);
+    }
+    
+    // Draw every line in its current state - hidden by the type filter, brushed or not
+    function drawLines() {
+        if (!context) return;
+        context.clearRect(-margin.left, -margin.top, svgWidth, svgHeight);
+        
+        const brushing = hasBrushes();
+        const visible = data.filter(isDrawn);
+        const brushed = brushing ? visible.filter(matchesBrushes) : [];
+        const others = brushing ? visible.filter(d => !matchesBrushes(d)) : visible;
+        
+        // Unmatched lines first so the brushed ones end up on top
+        drawLineSet(others, brushing ? 0.2 : 0.5, 1);
+        drawLineSet(brushed, 0.8, 2);
+        
+        // Pinned Pokemon in their compare colors, even when filtered out
+        context.globalAlpha = 1;
+        context.lineWidth = 2.5;
+        selection.pinned.forEach(d => {
+            context.beginPath();
+            line(linePoints.get(d));
+            context.strokeStyle = pinColor(d);
+            context.stroke();
+        });
+        
+        // The rest of its evolution family stands out with it, even when filtered out
+        if (selection.focus) {
+            context.globalAlpha = 0.9;
+            context.lineWidth = 2;
+            context.strokeStyle = "#666";
+            evolutionFamily(selection.focus).members
+                .filter(d => d !== selection.focus && linePoints.has(d))
+                .forEach(d => {
+                    context.beginPath();
+                    line(linePoints.get(d));
+                    context.stroke();
+                });
+        }
+        
+        // The Pokemon shown in the detail card goes over everything
+        if (selection.focus && linePoints.has(selection.focus)) {
+            context.globalAlpha = 1;
+            context.lineWidth = 3;
+            context.strokeStyle = "#222";
+            context.beginPath();
+            line(linePoints.get(selection.focus));
+            context.stroke();
+        }
+        
+        // The line picked from the keyboard, dashed so it reads apart from the focus
+        if (keyboardLine) {
+            context.globalAlpha = 1;
+            context.lineWidth = 3;
+            context.strokeStyle = "#000";
+            context.setLineDash([6, 3]);
+            context.beginPath();
+            line(linePoints.get(keyboardLine));
+            context.stroke();
+            context.setLineDash([]);
+        }
+        context.globalAlpha = 1;
+    }
+    
+    function drawLineSet(rows, opacity, lineWidth) {
+        context.globalAlpha = opacity;
+        context.lineWidth = lineWidth;
+        rows.forEach(d => {
+            context.beginPath();
+            line(linePoints.get(d));
+            context.strokeStyle = groupColor(d);
+            context.stroke();
+        });
+    }
+    
+    // Redraw at most once per animation frame, however often brushes fire
+    let drawPending = false;
+    function scheduleDraw() {
+        if (drawPending) return;
+        drawPending = true;
+        requestAnimationFrame(() => {
+            drawPending = false;
+            drawLines();
+        });
+    }
+    
+    // Move lines to their new positions straight away (e.g. while dragging an axis)
+    function updateLines() {
+        if (lineTimer) lineTimer.stop();
+        data.forEach(d => linePoints.set(d, targetPoints(d)));
+        scheduleDraw();
+    }
+    
+    // Animate lines from where they are drawn now to their new positions
+    let lineTimer = null;
+    function transitionLines() {
+        if (lineTimer) lineTimer.stop();
+        const interpolators = data.map(d => {
+            const target = targetPoints(d);
+            // Points coming out of a gap (a missing value) start at their destination
+            const start = linePoints.get(d).map((p, i) => isNaN(p[1]) && target[i] ? target[i] : p);
+            return [d, d3.interpolate(start, target)];
+        });
+        lineTimer = d3.timer(elapsed => {
+            const t = d3.easeCubic(Math.min(1, elapsed / 500));
+            interpolators.forEach(([d, interpolate]) => linePoints.set(d, interpolate(t)));
+            drawLines();
+            if (t === 1) lineTimer.stop();
+        });
+    }
+    
+    // Line picked with the arrow keys on the focused plot (see keyboard navigation below)
+    let keyboardLine = null;
+    
+    // Draw every row - no sampling, so brushing counts are exact
+    data.forEach(d => linePoints.set(d, targetPoints(d)));
+    drawLines();
+    
+    // Store active brushes (mirrored into the shared selection) as value ranges,
+    // or as category lists on categorical axes, so they stay valid when axes move or flip
+    let activeBrushes = {...selection.brushes};
+    const formatBrush = d3.format(".1f");
+    
+    // One brush behavior shared by every axis
+    const brush = d3.brushY()
+        .extent([[-10, 0], [10, height]])
+        .on("brush", brushed)
+        .on("end", brushEnded);
+    
+    // Transparent layer under the axes that finds the line under the pointer
+    const hitArea = svg.append("rect")
+        .attr("class", "line-hit-area")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("fill", "transparent")
+        .on("mousemove", function(event) {
+            const d = lineAt(...d3.pointer(event));
+            d3.select(this).style("cursor", d ? "pointer" : null);
+            if (!d) {
+                tooltip.style("opacity", 0);
+                return;
+            }
+            tooltip
+                .style("opacity", 1)
+                .html(`<strong>${escapeHtml(rowName(d))}</strong><br>${escapeHtml(typeLabel(d))}<br>` +
+                    "<em>Click for details, shift-click to compare</em>")
+                .style("left", (event.pageX + 10) + "px")
+                .style("top", (event.pageY - 10) + "px");
+        })
+        .on("mouseout", () => tooltip.style("opacity", 0))
+        .on("click", function(event) {
+            const d = lineAt(...d3.pointer(event));
+            if (!d) return;
+            // Shift-click pins straight to the compare tray
+            if (event.shiftKey) {
+                togglePin(d);
+            } else {
+                focusPokemon(d);
+            }
+        });
+    
+    // Keyboard navigation - the lines are drawn on the canvas, so the plot itself takes
+    // focus as a slider over the drawn lines (the brushed ones while brushing), ordered
+    // top to bottom on the first axis. Enter shows the picked line's details and
+    // Shift+Enter pins it, like a click and a shift-click.
+    // A Pokemon's value on an axis as text (null if it is missing)
+    function axisValue(d, dim) {
+        if (isCategorical(dim)) return categoryOf(d, dim);
+        const value = statValue(d, dim);
+        return isNaN(value) ? null : d3.format(".4~g")(value);
+    }
+    
+    function lineLabel(d) {
+        return [rowName(d), typeLabel(d)]
+            .concat(dimensions.map(dim => `${columnLabel(dim)} ${axisValue(d, dim) || "missing"}`))
+            .filter(Boolean)
+            .join(", ");
+    }
+    
+    function keyboardLines() {
+        const first = dimensions[0];
+        return data.filter(d => isDrawn(d) && (!hasBrushes() || matchesBrushes(d)))
+            .sort((a, b) => (yPosition(a, first) || 0) - (yPosition(b, first) || 0));
+    }
+    
+    function updateLineSlider() {
+        const lines = keyboardLines();
+        const index = lines.indexOf(keyboardLine);
+        hitArea
+            .attr("aria-valuemax", lines.length)
+            .attr("aria-valuenow", index + 1)
+            .attr("aria-valuetext", index < 0
+                ? `${lines.length} ${schema.itemLabel} - press the arrow keys to step through them`
+                : lineLabel(keyboardLine));
+    }
+    
+    function showKeyboardLine() {
+        const box = hitArea.node().getBoundingClientRect();
+        const [px, py] = linePoints.get(keyboardLine)[0];
+        tooltip
+            .style("opacity", 1)
+            .html(`<strong>${escapeHtml(rowName(keyboardLine))}</strong><br>${escapeHtml(typeLabel(keyboardLine))}<br>` +
+                "<em>Enter for details, Shift+Enter to compare</em>")
+            .style("left", (box.left + window.scrollX + px + 10) + "px")
+            .style("top", (box.top + window.scrollY + (isNaN(py) ? 0 : py) - 10) + "px");
+    }
+    
+    hitArea
+        .attr("tabindex", 0)
+        .attr("role", "slider")
+        .attr("aria-label", `${schema.itemLabel} lines`)
+        .attr("aria-valuemin", 1)
+        .attr("aria-describedby", "tooltip")
+        .on("focus", updateLineSlider)
+        .on("blur", () => {
+            keyboardLine = null;
+            tooltip.style("opacity", 0);
+            scheduleDraw();
+        })
+        .on("keydown", function(event) {
+            const lines = keyboardLines();
+            if (keyboardLine && (event.key === "Enter" || event.key === " ")) {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    togglePin(keyboardLine);
+                } else {
+                    focusPokemon(keyboardLine);
+                }
+                return;
+            }
+            const target = !lines.includes(keyboardLine) && event.key.startsWith("Arrow")
+                ? lines[0]
+                : stepThrough(lines, keyboardLine, event.key.replace("Right", "Down").replace("Left", "Up"),
+                    "ArrowUp", "ArrowDown");
+            if (target === undefined) return;
+            event.preventDefault();
+            if (!target) return;
+            keyboardLine = target;
+            updateLineSlider();
+            showKeyboardLine();
+            scheduleDraw();
+        });
+    
+    // Closest drawn line within a few pixels of a point, preferring brushed lines
+    function lineAt(mx, my) {
+        const visible = data.filter(isDrawn);
+        const groups = hasBrushes()
+            ? [visible.filter(matchesBrushes), visible.filter(d => !matchesBrushes(d))]
+            : [visible];
+        
+        for (const rows of groups) {
+            let closest = null;
+            let closestDistance = 4;
+            rows.forEach(d => {
+                const points = linePoints.get(d);
+                for (let i = 0; i < points.length - 1; i++) {
+                    const [x0, y0] = points[i];
+                    const [x1, y1] = points[i + 1];
+                    if (mx < Math.min(x0, x1) || mx > Math.max(x0, x1) || x0 === x1) continue;
+                    const distance = Math.abs(y0 + (y1 - y0) * (mx - x0) / (x1 - x0) - my);
+                    if (distance < closestDistance) {
+                        closest = d;
+                        closestDistance = distance;
+                    }
+                }
+            });
+            if (closest) return closest;
+        }
+        return null;
+    }
+    
+    // Axis groups, rebuilt whenever dimensions are added or removed
+    const axesGroup = svg.append("g")
+        .attr("class", "axes-group");
+    let dimensionGroups = axesGroup.selectAll(".dimension");
+    let brushGroups = dimensionGroups.select(".brush");
+    
+    // Draw axes for each dimension; drag an axis to reorder, double-click its title to invert
+    function renderAxes() {
+        dimensionGroups = axesGroup.selectAll(".dimension")
+            .data(dimensions, d => d)
+            .join(
+                enter => {
+                    const group = enter.append("g")
+                        .attr("class", "dimension")
+                        .attr("transform", d => `translate(${x(d)})`)
+                        .style("opacity", 0)
+                        .call(d3.drag()
+                            .subject((event, d) => ({x: x(d)}))
+                            .on("start", dragStarted)
+                            .on("drag", dragged)
+                            .on("end", dragEnded));
+                    
+                    group.append("g")
+                        .attr("class", "axis")
+                        .each(function(d) {
+                            d3.select(this).call(d3.axisLeft(y[d]));
+                        });
+                    
+                    group.append("text")
+                        .attr("class", "axis-title")
+                        .classed("inverted", d => inverted.has(d))
+                        .attr("y", -15)
+                        .attr("text-anchor", "middle")
+                        .text(columnLabel)
+                        .style("font-size", "12px")
+                        .style("cursor", "move")
+                        .on("dblclick", (event, d) => invertAxis(d))
+                        .append("title")
+                        .text("Drag to reorder, double-click to invert");
+                    
+                    group.append("text")
+                        .attr("class", "remove-axis")
+                        .attr("y", -32)
+                        .attr("text-anchor", "middle")
+                        .text("\u00d7")
+                        .style("cursor", "pointer")
+                        .attr("aria-label", d => `Remove the ${columnLabel(d)} axis`)
+                        .on("click", (event, d) => removeDimension(d))
+                        .call(keyboardClickable)
+                        .append("title")
+                        .text("Remove axis");
+                    
+                    // Missing-value band and count, filled in by updateMissingMarks
+                    const marks = group.append("g")
+                        .attr("class", "missing-marks");
+                    
+                    marks.append("rect")
+                        .attr("class", "missing-band")
+                        .attr("x", -8)
+                        .attr("y", height - bandHeight + 4)
+                        .attr("width", 16)
+                        .attr("height", bandHeight - 4);
+                    
+                    marks.append("text")
+                        .attr("class", "missing-band-label")
+                        .attr("x", -10)
+                        .attr("y", height - bandHeight / 2 + 4)
+                        .attr("text-anchor", "end")
+                        .text("missing");
+                    
+                    marks.append("text")
+                        .attr("class", "missing-count")
+                        .attr("y", height + 14)
+                        .attr("text-anchor", "middle");
+                    
+                    // Add a brush to each dimension, which can also be set from the keyboard
+                    group.append("g")
+                        .attr("class", "brush")
+                        .call(brush)
+                        .attr("tabindex", 0)
+                        .attr("role", "group")
+                        .on("keydown.keyboard", brushKeydown);
+                    
+                    return group;
+                },
+                update => update,
+                exit => exit.transition()
+                    .duration(500)
+                    .style("opacity", 0)
+                    .remove()
+            );
+        
+        dimensionGroups.transition()
+            .duration(500)
+            .attr("transform", d => `translate(${x(d)})`)
+            .style("opacity", 1);
+        
+        // Keep at least two axes
+        dimensionGroups.select(".remove-axis")
+            .style("display", dimensions.length > 2 ? null : "none");
+        
+        brushGroups = dimensionGroups.select(".brush");
+        updateMissingMarks();
+        updateBrushLabels();
+    }
+    
+    // Each numeric axis with missing values shows how many; under the "band" policy
+    // it also shows the band those lines run through
+    function updateMissingMarks() {
+        const marks = dimensionGroups.select(".missing-marks")
+            .style("display", dim => isCategorical(dim) || missingCount(dim) === 0 ? "none" : null);
+        marks.selectAll(".missing-band, .missing-band-label")
+            .style("display", shownPolicy === "band" ? null : "none");
+        marks.select(".missing-count")
+            .text(dim => `${missingCount(dim)} missing`);
+    }
+    
+    renderAxes();
+    
+    // Tell the other views (and the URL) the axes changed
+    function publishDimensions() {
+        view.dimensions = [...dimensions];
+        viewChanged();
+    }
+    
+    // Add an axis at the right end of the plot
+    function addDimension(dim) {
+        if (dimensions.includes(dim)) return;
+        if (!y[dim]) y[dim] = createScale(dim);
+        dimensions.push(dim);
+        x.domain(dimensions);
+        renderAxes();
+        transitionLines();
+        updateDimensionPicker();
+        publishDimensions();
+    }
+    
+    // Remove an axis along with its brush
+    function removeDimension(dim) {
+        if (dimensions.length <= 2) return;
+        dimensions.splice(dimensions.indexOf(dim), 1);
+        x.domain(dimensions);
+        renderAxes();
+        transitionLines();
+        updateDimensionPicker();
+        publishDimensions();
+        
+        if (activeBrushes[dim]) {
+            delete activeBrushes[dim];
+            updateSelection({brushes: {...activeBrushes}});
+        }
+    }
+    
+    // Show the axes set elsewhere (e.g. restored from the URL), in their order
+    function setDimensions(dims) {
+        dims = dims.filter(dim => numericDimensions.includes(dim) || isCategorical(dim));
+        if (dims.length < 2 || dims.join() === dimensions.join()) return;
+        dims.forEach(dim => {
+            if (!y[dim]) y[dim] = createScale(dim);
+        });
+        dimensions.splice(0, dimensions.length, ...dims);
+        x.domain(dimensions);
+        renderAxes();
+        transitionLines();
+        updateDimensionPicker();
+        
+        const removed = Object.keys(activeBrushes).filter(dim => !dimensions.includes(dim));
+        if (removed.length) {
+            removed.forEach(dim => delete activeBrushes[dim]);
+            updateSelection({brushes: {...activeBrushes}});
+        }
+    }
+    
+    listen("view.parallel", () => setDimensions(view.dimensions));
+    
+    // Dropdown listing the columns that are not shown yet
+    const dimensionPicker = root
+        .insert("div", ":first-child")
+        .attr("class", "dimension-picker");
+    
+    dimensionPicker.append("label")
+        .attr("for", `dimension-select-${id}`)
+        .text("Add axis:");
+    
+    const dimensionSelect = dimensionPicker.append("select")
+        .attr("id", `dimension-select-${id}`)
+        .on("change", function() {
+            if (this.value) addDimension(this.value);
+        });
+    
+    function updateDimensionPicker() {
+        const groups = [
+            {label: "Numeric", columns: numericDimensions},
+            {label: "Categorical", columns: categoricalDimensions}
+        ];
+        
+        dimensionSelect.selectAll("*").remove();
+        dimensionSelect.append("option")
+            .attr("value", "")
+            .text("Choose a column...");
+        
+        groups.forEach(group => {
+            dimensionSelect.append("optgroup")
+                .attr("label", group.label)
+                .selectAll("option")
+                .data(group.columns.filter(c => !dimensions.includes(c)))
+                .enter()
+                .append("option")
+                .attr("value", d => d)
+                .text(columnLabel);
+        });
+        
+        dimensionSelect.property("value", "");
+    }
+    
+    updateDimensionPicker();
+    
+    // Brushes already in the selection
+    Object.keys(activeBrushes).forEach(moveBrush);
+    
+    function dragStarted(event, d) {
+        dragging[d] = x(d);
+    }
+    
+    // Follow the pointer and reorder the axes as they pass each other
+    function dragged(event, d) {
+        dragging[d] = Math.max(0, Math.min(width, event.x));
+        dimensions.sort((a, b) => position(a) - position(b));
+        x.domain(dimensions);
+        dimensionGroups.attr("transform", p => `translate(${position(p)})`);
+        updateLines();
+    }
+    
+    // Snap the dragged axis into its new slot
+    function dragEnded(event, d) {
+        delete dragging[d];
+        d3.select(this)
+            .transition()
+            .duration(500)
+            .attr("transform", `translate(${x(d)})`);
+        transitionLines();
+        if (dimensions.join() !== view.dimensions.join()) publishDimensions();
+    }
+    
+    // Flip an axis so high values are at the bottom (or back again)
+    function invertAxis(dim) {
+        y[dim].range(y[dim].range().reverse());
+        if (inverted.has(dim)) {
+            inverted.delete(dim);
+        } else {
+            inverted.add(dim);
+        }
+        
+        const group = dimensionGroups.filter(d => d === dim);
+        group.select(".axis")
+            .transition()
+            .duration(500)
+            .call(d3.axisLeft(y[dim]));
+        group.select(".axis-title")
+            .classed("inverted", inverted.has(dim));
+        
+        transitionLines();
+        
+        moveBrush(dim);
+    }
+    
+    // Redraw a brush from its stored value range or category list
+    function moveBrush(dim) {
+        const range = activeBrushes[dim];
+        let pixels = null;
+        if (range && range.categories) {
+            // Cover the slots of the selected categories
+            const half = y[dim].step() / 2;
+            const centers = range.categories.map(c => y[dim](c));
+            if (centers.length > 0) pixels = [d3.min(centers) - half, d3.max(centers) + half];
+        } else if (range) {
+            pixels = range.map(y[dim]).sort((a, b) => a - b);
+        }
+        brushGroups.filter(d => d === dim)
+            .call(brush.move, pixels);
+    }
+    
+    // Convert a brushed pixel extent to a value range or a list of categories
+    function brushValue(dim, [y0, y1]) {
+        if (isCategorical(dim)) {
+            return {
+                categories: y[dim].domain().filter(c => {
+                    const center = y[dim](c);
+                    return center >= y0 && center <= y1;
+                })
+            };
+        }
+        return [y[dim].invert(y0), y[dim].invert(y1)].sort((a, b) => a - b);
+    }
+    
+    // Text for a brush - its range or categories
+    function brushText(dim) {
+        const range = activeBrushes[dim];
+        if (!range) return `${columnLabel(dim)}, not brushed`;
+        if (range.categories) {
+            return `${columnLabel(dim)} brushed to ${range.categories.join(", ") || "no values"}`;
+        }
+        return `${columnLabel(dim)} brushed from ${formatBrush(range[0])} to ${formatBrush(range[1])}`;
+    }
+    
+    function updateBrushLabels() {
+        brushGroups.attr("aria-label", dim => `${brushText(dim)}. Arrow keys move the brush, ` +
+            "Shift+arrows resize it, Delete clears it");
+    }
+    
+    // Keyboard brushing: the up and down arrows move a brush by a twentieth of the axis
+    // (one category on categorical axes), with Shift they grow and shrink it at both ends
+    // by half that (a category), and Delete or Escape clears it. An axis without a brush
+    // gets one over its middle half.
+    function brushKeydown(event, dim) {
+        const step = isCategorical(dim) ? y[dim].step() : height / 20;
+        const current = d3.brushSelection(this);
+        let pixels;
+        
+        if (event.key === "Delete" || event.key === "Backspace" || event.key === "Escape") {
+            if (!current) return;
+            pixels = null;
+        } else if (event.key === "ArrowUp" || event.key === "ArrowDown") {
+            const up = event.key === "ArrowUp";
+            if (!current) {
+                pixels = [height / 4, height * 3 / 4];
+            } else if (event.shiftKey) {
+                const end = isCategorical(dim) ? step : step / 2;
+                const change = up ? end : -end;
+                pixels = [current[0] - change, current[1] + change];
+                if (pixels[1] - pixels[0] < step) return;
+            } else {
+                const shift = up
+                    ? -Math.min(step, current[0])
+                    : Math.min(step, height - current[1]);
+                pixels = [current[0] + shift, current[1] + shift];
+            }
+            pixels = [Math.max(0, pixels[0]), Math.min(height, pixels[1])];
+        } else {
+            return;
+        }
+        event.preventDefault();
+        
+        if (pixels) {
+            activeBrushes[dim] = brushValue(dim, pixels);
+        } else {
+            delete activeBrushes[dim];
+        }
+        moveBrush(dim);
+        updateSelection({brushes: {...activeBrushes}});
+        announce(brushText(dim));
+    }
+    
+    // Brush event handler
+    function brushed(event, dim) {
+        // Programmatic moves only redraw an existing range
+        if (!event.sourceEvent || !event.selection) return;
+        
+        activeBrushes[dim] = brushValue(dim, event.selection);
+        
+        updateSelection({brushes: {...activeBrushes}});
+    }
+    
+    // Brush ended event handler
+    function brushEnded(event, dim) {
+        if (!event.sourceEvent) return;
+        if (!event.selection) {
+            delete activeBrushes[dim];
+        }
+        updateSelection({brushes: {...activeBrushes}});
+    }
+    
+    // Re-lay out the numeric axes and lines when the missing-data policy changes
+    function updateMissingPolicy() {
+        if (selection.missing === shownPolicy) return;
+        shownPolicy = selection.missing;
+        
+        Object.keys(y).filter(dim => !isCategorical(dim)).forEach(dim => {
+            y[dim].range(inverted.has(dim) ? [0, numericBottom()] : [numericBottom(), 0]);
+        });
+        dimensionGroups.select(".axis").each(function(dim) {
+            d3.select(this)
+                .transition()
+                .duration(500)
+                .call(d3.axisLeft(y[dim]));
+        });
+        
+        updateMissingMarks();
+        transitionLines();
+        Object.keys(activeBrushes).forEach(moveBrush);
+    }
+    
+    // Draw brushes set elsewhere (e.g. restored from the URL), adding their axes if needed
+    function syncBrushes() {
+        if (JSON.stringify(selection.brushes) === JSON.stringify(activeBrushes)) return;
+        activeBrushes = {...selection.brushes};
+        Object.keys(activeBrushes).forEach(dim => {
+            if (!dimensions.includes(dim)) addDimension(dim);
+        });
+        dimensions.forEach(moveBrush);
+    }
+    
+    // Hide lines outside the type filter and highlight lines that pass all active brushes
+    listen("change.parallelBrushes", syncBrushes);
+    listen("change.parallelBrushLabels", updateBrushLabels);
+    listen("change.parallel", scheduleDraw);
+    listen("change.parallelMissing", updateMissingPolicy);
+    listen("focus.parallel", scheduleDraw);
+    listen("pin.parallel", scheduleDraw);
+    
+    // Add reset button to clear all brushes
+    const resetButton = svg.append("g")
+        .attr("class", "reset-button")
+        .attr("transform", `translate(${width - 100}, ${height + 20})`)
+        .style("cursor", "pointer")
+        .attr("aria-label", "Reset brushes")
+        .on("click", resetAllBrushes)
+        .call(keyboardClickable);
+    
+    resetButton.append("rect")
+        .attr("width", 80)
+        .attr("height", 25)
+        .attr("rx", 5)
+        .attr("fill", "#e0e0e0")
+        .attr("stroke", "#999");
+    
+    resetButton.append("text")
+        .attr("x", 40)
+        .attr("y", 16)
+        .attr("text-anchor", "middle")
+        .text("Reset Brushes")
+        .style("font-size", "12px");
+    
+    // Reset all brushes function
+    function resetAllBrushes() {
+        // Clear all brushes visually
+        brushGroups.call(brush.move, null);
+        
+        // Reset active brushes and let every chart redraw
+        activeBrushes = {};
+        updateSelection({brushes: {}});
+    }
+    
+    // Add group legend in the right margin, clear of the axes
+    const legend = svg.append("g")
+        .attr("transform", `translate(${width + 15}, 20)`);
+    
+    groups.forEach((gen, i) => {
+        legend.append("rect")
+            .attr("x", 0)
+            .attr("y", i * 20)
+            .attr("width", 15)
+            .attr("height", 15)
+            .attr("fill", groupColors(gen));
+        
+        legend.append("text")
+            .attr("x", 20)
+            .attr("y", i * 20 + 12)
+            .text(groupLabel(gen))
+            .style("font-size", "12px");
+    });
+    
+    // Selection statistics panel - live summary of what the brushes match
+    const statsPanel = root
+        .append("div")
+        .attr("class", "brush-stats");
+    
+    const statsSummary = statsPanel.append("div")
+        .attr("class", "brush-stats-summary");
+    
+    const statsBody = statsPanel.append("div")
+        .attr("class", "brush-stats-body");
+    
+    // Editable brush ranges
+    const rangesSection = statsBody.append("div")
+        .attr("class", "brush-stats-section");
+    rangesSection.append("h4").text("Brushed ranges");
+    const rangesList = rangesSection.append("div")
+        .attr("class", "brush-ranges");
+    
+    // Stat summaries, selection vs. the whole dataset
+    const summarySection = statsBody.append("div")
+        .attr("class", "brush-stats-section");
+    summarySection.append("h4").text("Stats (selection / all)");
+    const summaryTable = summarySection.append("table")
+        .attr("class", "brush-stats-table");
+    summaryTable.append("thead")
+        .append("tr")
+        .selectAll("th")
+        .data(["Stat", "Mean", "Median", "Min\u2013Max"])
+        .enter()
+        .append("th")
+        .text(d => d);
+    const summaryBody = summaryTable.append("tbody");
+    
+    // Breakdown by generation and legendary status
+    const breakdownSection = statsBody.append("div")
+        .attr("class", "brush-stats-section");
+    breakdownSection.append("h4").text("Breakdown");
+    const breakdownList = breakdownSection.append("div")
+        .attr("class", "brush-breakdown");
+    
+    const summaryStats = [...schema.stats, schema.total].filter(Boolean);
+    const formatStat = d3.format(".1f");
+    const formatBound = d3.format(".1~f");
+    
+    // Summary of a stat as the chart draws it under the missing-data policy
+    function describe(rows, stat) {
+        const values = rows.map(d => statValue(d, stat)).filter(v => !isNaN(v));
+        return {
+            mean: d3.mean(values),
+            median: d3.median(values),
+            min: d3.min(values),
+            max: d3.max(values)
+        };
+    }
+    
+    // Selection value in bold with the whole-dataset value beside it
+    function compareCell(selected, overall) {
+        const show = v => v == null ? "\u2013" : formatStat(v);
+        return `<span class="stat-selected">${show(selected)}</span>` +
+            `<span class="stat-overall">${show(overall)}</span>`;
+    }
+    
+    function updateStatsPanel() {
+        const brushing = hasBrushes();
+        const matched = brushing ? data.filter(d => matchesTypes(d) && matchesBrushes(d)) : [];
+        
+        statsSummary.html(brushing
+            ? `<strong>${matched.length}</strong> of ${data.length} ${escapeHtml(schema.itemLabel)} match the active brushes`
+            : "Brush one or more axes to see statistics for the selection");
+        statsBody.style("display", brushing ? null : "none");
+        if (!brushing) return;
+        
+        updateRangeInputs();
+        
+        summaryBody.selectAll("tr")
+            .data(summaryStats)
+            .join("tr")
+            .html(stat => {
+                const sel = describe(matched, stat);
+                const all = describe(data, stat);
+                const range = v => v.min == null ? "\u2013" : `${formatBound(v.min)}\u2013${formatBound(v.max)}`;
+                return `<td>${escapeHtml(columnLabel(stat))}</td>` +
+                    `<td>${compareCell(sel.mean, all.mean)}</td>` +
+                    `<td>${compareCell(sel.median, all.median)}</td>` +
+                    `<td><span class="stat-selected">${range(sel)}</span>` +
+                    `<span class="stat-overall">${range(all)}</span></td>`;
+            });
+        
+        // Share of each generation, and of legendary Pokemon, that the brushes matched
+        const flags = schema.flag ? [true, false] : [];
+        const breakdown = groups.map(gen => ({
+            label: groupLabel(gen),
+            color: groupColors(gen),
+            count: matched.filter(d => d[schema.group] === gen).length,
+            total: data.filter(d => d[schema.group] === gen).length
+        })).concat(flags.map(flag => ({
+            label: flagLabel(flag),
+            color: flagColors(flag),
+            count: matched.filter(d => d[schema.flag] === flag).length,
+            total: data.filter(d => d[schema.flag] === flag).length
+        })));
+        
+        breakdownSection.style("display", breakdown.length ? null : "none");
+        
+        const rows = breakdownList.selectAll(".breakdown-row")
+            .data(breakdown, d => d.label)
+            .join(enter => {
+                const row = enter.append("div").attr("class", "breakdown-row");
+                row.append("span").attr("class", "breakdown-label");
+                row.append("div")
+                    .attr("class", "breakdown-bar")
+                    .append("div")
+                    .attr("class", "breakdown-fill");
+                row.append("span").attr("class", "breakdown-count");
+                return row;
+            });
+        
+        rows.select(".breakdown-label").text(d => d.label);
+        rows.select(".breakdown-fill")
+            .style("background-color", d => d.color)
+            .style("width", d => `${matched.length ? d.count / matched.length * 100 : 0}%`);
+        rows.select(".breakdown-count")
+            .text(d => `${d.count} (${d3.format(".0%")(d.total ? d.count / d.total : 0)} of ${d.total})`);
+    }
+    
+    // One row per brushed axis; numeric ranges can be typed in directly
+    function updateRangeInputs() {
+        const entries = dimensions.filter(dim => activeBrushes[dim]);
+        
+        const rows = rangesList.selectAll(".brush-range")
+            .data(entries, d => d)
+            .join(enter => {
+                const row = enter.append("div").attr("class", "brush-range");
+                row.append("label").text(d => columnLabel(d));
+                return row;
+            });
+        
+        rows.each(function(dim) {
+            const row = d3.select(this);
+            const range = activeBrushes[dim];
+            
+            if (range.categories) {
+                row.selectAll("input").remove();
+                row.selectAll(".brush-categories")
+                    .data([dim])
+                    .join("span")
+                    .attr("class", "brush-categories")
+                    .text(range.categories.length ? range.categories.join(", ") : "(none)");
+                return;
+            }
+            
+            row.selectAll(".brush-categories").remove();
+            const [min, max] = y[dim].domain();
+            row.selectAll("input")
+                .data([0, 1])
+                .join(enter => enter.append("input")
+                    .attr("type", "number")
+                    .attr("step", "any")
+                    .on("change", () => setBrushRange(dim, row)))
+                .attr("min", min)
+                .attr("max", max)
+                .each(function(i) {
+                    // Don't overwrite a value the user is typing
+                    if (this !== document.activeElement) {
+                        this.value = +formatStat(activeBrushes[dim][i]);
+                    }
+                });
+        });
+    }
+    
+    // Apply a typed range to an axis and move its brush to match
+    function setBrushRange(dim, row) {
+        const [domainMin, domainMax] = y[dim].domain();
+        const inputs = row.selectAll("input").nodes();
+        if (inputs.some(input => input.value === "")) return;
+        const values = inputs.map(input => +input.value);
+        
+        activeBrushes[dim] = values
+            .map(v => Math.max(domainMin, Math.min(domainMax, v)))
+            .sort((a, b) => a - b);
+        moveBrush(dim);
+        updateSelection({brushes: {...activeBrushes}});
+    }
+    
+    listen("change.brushStats", updateStatsPanel);
+    updateStatsPanel();
+    
+    // The drawn lines (the brushed ones while brushing) with their value on each axis
+    const refreshTable = dataTable(root, state, () => ({
+        caption: `${dimensions.map(columnLabel).join(", ")} of the ${schema.itemLabel}` +
+            (hasBrushes() ? " matching the brushes" : " shown"),
+        columns: [
+            {label: "Name", value: rowName},
+            schema.categories.length && {label: "Types", value: typeLabel}
+        ].filter(Boolean).concat(dimensions.map(dim => ({
+            label: columnLabel(dim),
+            value: d => axisValue(d, dim) || "\u2013"
+        }))),
+        rows: keyboardLines().sort((a, b) => d3.ascending(rowName(a), rowName(b)))
+    }));
+    
+    listen("change.parallelTable", refreshTable);
+    listen("view.parallelTable", refreshTable);
+    
+    // Stop a line transition that is still running
+    return () => {
+        if (lineTimer) lineTimer.stop();
+    };
+}
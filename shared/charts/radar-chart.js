@@ -0,0 +1,394 @@
+// 1. Radar Chart - Shows distribution of Pokemon types, overall, per category column
+// or per group, with points that filter every chart (this one too) by type
+
+import {chartComponent} from "./component.js";
+import {keyboardMarks, keyboardClickable, stepThrough, dataTable} from "./accessibility.js";
+import {escapeHtml} from "./dataset.js";
+
+export function radarChart(container, data, options = {}) {
+    return chartComponent(container, data, options, drawRadarChart);
+}
+
+// Closed radar polygon through one value per axis, starting at 12 o'clock
+export function createRadarLine(axisCount, radius) {
+    const angleSlice = Math.PI * 2 / axisCount;
+    return d3.lineRadial()
+        .angle((d, i) => angleSlice * i)
+        .radius(radius)
+        .curve(d3.curveLinearClosed);
+}
+
+// Screen position of a value on a radar axis (matches createRadarLine)
+export function radarPoint(i, axisCount, r) {
+    const angle = Math.PI * 2 / axisCount * i - Math.PI / 2;
+    return [Math.cos(angle) * r, Math.sin(angle) * r];
+}
+
+function drawRadarChart({root, data, model, listen, id, state, margin, width, height}) {
+    const {schema, palette, typesOf, allTypes, typeColor, groups, groupColors, groupLabel,
+        columnLabel, selection, updateSelection, matchesTypes, matchesBrushes, tooltip} = model;
+    const radarRadius = Math.min(width, height) / 2;
+    
+    // Nothing to count without a category column
+    if (schema.categories.length === 0) return;
+    
+    // Mode and normalization controls above the chart
+    const controls = root
+        .append("div")
+        .attr("class", "radar-controls");
+    
+    controls.append("label")
+        .attr("for", `radar-mode-${id}`)
+        .text("Show:");
+    
+    const modeSelect = controls.append("select")
+        .attr("id", `radar-mode-${id}`)
+        .on("change", function() {
+            radarMode = state.mode = this.value;
+            hiddenGroups.clear();
+            updateRadar();
+        });
+    
+    // Splitting needs two category columns, and per-group polygons a group column
+    const modes = [{mode: "combined", label: `All ${schema.categoryLabel} values combined`}];
+    if (schema.categories.length > 1) {
+        modes.push({mode: "split", label: `${schema.categories.map(columnLabel).join(" vs. ")}`});
+    }
+    if (schema.group) {
+        modes.push({mode: "generation", label: `One polygon per ${columnLabel(schema.group)}`});
+    }
+    
+    modeSelect.selectAll("option")
+        .data(modes)
+        .enter()
+        .append("option")
+        .attr("value", d => d.mode)
+        .text(d => d.label);
+    
+    const normalizeLabel = controls.append("label")
+        .attr("class", "radar-normalize");
+    
+    normalizeLabel.append("input")
+        .attr("type", "checkbox")
+        .on("change", function() {
+            normalized = state.normalized = this.checked;
+            updateRadar();
+        });
+    
+    normalizeLabel.append("span")
+        .text("Show % of each group");
+    
+    // Create SVG container
+    const svg = root
+        .append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom)
+        .attr("role", "group")
+        .attr("aria-label", `${schema.categoryLabel} radar chart - use the arrow keys to move between points`)
+        .append("g")
+        .attr("transform", `translate(${width/2 + margin.left}, ${height/2 + margin.top})`);
+
+    // Mode, normalization and hidden legend entries carry over when the chart is redrawn
+    let radarMode = state.mode || "combined";
+    let normalized = state.normalized || false;
+    const hiddenGroups = state.hiddenGroups || (state.hiddenGroups = new Set());
+    
+    modeSelect.property("value", radarMode);
+    normalizeLabel.select("input").property("checked", normalized);
+
+    // Count how many Pokemon have each type (including secondary types)
+    function countTypes(rows, typesOfRow = typesOf) {
+        const counts = {};
+        rows.forEach(d => {
+            typesOfRow(d).filter(Boolean).forEach(type => {
+                counts[type] = (counts[type] || 0) + 1;
+            });
+        });
+        return counts;
+    }
+
+    const types = allTypes;
+
+    // Polygons for the current mode - each group counts types over its own Pokemon,
+    // and "size" is the number of Pokemon the percentages are taken of
+    function radarGroups(rows) {
+        // One polygon per category column, over the rows that have a value in it
+        if (radarMode === "split") {
+            return schema.categories.map((column, i) => {
+                const withValue = rows.filter(d => d[column]);
+                return {key: column, label: columnLabel(column), color: palette.groups[i],
+                    counts: countTypes(withValue, d => [d[column]]), size: withValue.length};
+            });
+        }
+        if (radarMode === "generation") {
+            return groups.map(gen => {
+                const genRows = rows.filter(d => d[schema.group] === gen);
+                return {key: `gen-${gen}`, label: groupLabel(gen), color: groupColors(gen),
+                    counts: countTypes(genRows), size: genRows.length};
+            });
+        }
+        return [{key: "combined", label: `All ${schema.categoryLabel} values`, color: palette.single,
+            counts: countTypes(rows), size: rows.length}];
+    }
+
+    // Radial scale for the radar chart
+    const rScale = d3.scaleLinear()
+        .range([0, radarRadius]);
+    
+    const formatPercent = d3.format(".0%");
+    const formatShare = d3.format(".1%");
+    const formatTick = value => normalized ? formatPercent(value) : value;
+    
+    // Calculate angle for each type
+    const angleSlice = Math.PI * 2 / types.length;
+    
+    // Labeled tick rings, redrawn whenever rScale changes
+    const ringsGroup = svg.append("g")
+        .attr("class", "radar-rings");
+    
+    // Draw axes for each type
+    types.forEach((type, i) => {
+        const angle = angleSlice * i - Math.PI / 2;
+        const lineLength = radarRadius * 0.95;
+        
+        // Draw axis line
+        svg.append("line")
+            .attr("x1", 0)
+            .attr("y1", 0)
+            .attr("x2", Math.cos(angle) * lineLength)
+            .attr("y2", Math.sin(angle) * lineLength)
+            .attr("stroke", "#ddd")
+            .attr("stroke-width", 1);
+        
+        // Add type label at the end of each axis
+        svg.append("text")
+            .attr("x", Math.cos(angle) * (lineLength + 20))
+            .attr("y", Math.sin(angle) * (lineLength + 20))
+            .text(type)
+            .attr("fill", typeColor(type))
+            .style("font-size", "12px")
+            .style("text-anchor", "middle");
+    });
+    
+    // Create radar line generator (angles match the type axes above)
+    const radarLine = createRadarLine(types.length, d => rScale(d.value));
+    
+    const polygonsGroup = svg.append("g")
+        .attr("class", "radar-polygons");
+    const pointsGroup = svg.append("g")
+        .attr("class", "radar-points");
+    
+    // Legend - click an entry to hide or show its polygon
+    const legend = svg.append("g")
+        .attr("class", "radar-legend")
+        .attr("transform", `translate(${-width / 2}, ${-height / 2})`);
+    
+    function updateRings() {
+        const ticks = rScale.ticks(4).filter(t => t > 0);
+        
+        const rings = ringsGroup.selectAll(".radar-ring")
+            .data(ticks, d => d)
+            .join(enter => {
+                const ring = enter.append("g")
+                    .attr("class", "radar-ring")
+                    .style("opacity", 0);
+                ring.append("circle")
+                    .attr("fill", "none")
+                    .attr("stroke", "#ddd")
+                    .attr("stroke-width", 0.5);
+                ring.append("text")
+                    .attr("x", 3)
+                    .style("font-size", "9px")
+                    .style("fill", "#999");
+                return ring;
+            });
+        
+        rings.transition()
+            .duration(500)
+            .style("opacity", 1);
+        rings.select("circle")
+            .transition()
+            .duration(500)
+            .attr("r", d => rScale(d));
+        rings.select("text")
+            .text(formatTick)
+            .transition()
+            .duration(500)
+            .attr("y", d => -rScale(d) - 2);
+    }
+    
+    function shareOf(v) {
+        return v.group.size ? formatShare(v.count / v.group.size) : "\u2013";
+    }
+    
+    // Toggle a type in the shared type filter
+    function toggleType(event, v) {
+        const selectedTypes = selection.types.includes(v.type)
+            ? selection.types.filter(t => t !== v.type)
+            : [...selection.types, v.type];
+        updateSelection({types: selectedTypes});
+    }
+    
+    function showPointTooltip(event, v) {
+        d3.select(this).attr("r", 6);
+        tooltip
+            .style("opacity", 1)
+            .html(`<strong>${escapeHtml(v.type)}</strong><br>${escapeHtml(v.group.label)}<br>` +
+                `Count: ${v.count} (${shareOf(v)} of ${v.group.size})<br><em>Click to filter</em>`)
+            .style("left", (event.pageX + 10) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    function hidePointTooltip(v) {
+        d3.select(this).attr("r", selection.types.includes(v.type) ? 6 : 4);
+        tooltip.style("opacity", 0);
+    }
+    
+    // Left and right go around a polygon's types, up and down to the same type on the
+    // next polygon
+    const keyboard = keyboardMarks({
+        key: v => `${v.group.key}:${v.type}`,
+        label: v => `${v.type}, ${v.group.label}, ${v.count} ${schema.itemLabel} (${shareOf(v)})` +
+            (selection.types.includes(v.type) ? ", filtered" : ""),
+        next: (v, key, values) => {
+            if (key === "ArrowLeft" || key === "ArrowRight" || key === "Home" || key === "End") {
+                return stepThrough(values.filter(p => p.group.key === v.group.key), v, key, "ArrowLeft", "ArrowRight");
+            }
+            return stepThrough(values.filter(p => p.type === v.type), v, key, "ArrowUp", "ArrowDown");
+        },
+        activate: toggleType,
+        show: showPointTooltip,
+        hide: hidePointTooltip
+    });
+    
+    // Recompute every polygon for the Pokemon that pass the filters and brushes, and redraw
+    let polygons = [];
+    let filtered = false;
+    function updateRadar() {
+        const rows = data.filter(d => matchesTypes(d) && matchesBrushes(d));
+        filtered = rows.length < data.length;
+        polygons = radarGroups(rows);
+        
+        polygons.forEach(group => {
+            group.values = types.map(type => {
+                const count = group.counts[type] || 0;
+                return {
+                    type,
+                    group,
+                    count,
+                    value: normalized ? (group.size ? count / group.size : 0) : count
+                };
+            });
+        });
+        
+        const visible = polygons.filter(g => !hiddenGroups.has(g.key));
+        rScale.domain([0, d3.max(visible, g => d3.max(g.values, v => v.value)) || 1]);
+        updateRings();
+        
+        polygonsGroup.selectAll(".radar-area")
+            .data(visible, g => g.key)
+            .join(
+                enter => enter.append("path")
+                    .attr("class", "radar-area")
+                    .attr("d", g => radarLine(g.values.map(() => ({value: 0})))),
+                update => update,
+                exit => exit.transition()
+                    .duration(300)
+                    .style("opacity", 0)
+                    .remove()
+            )
+            .attr("fill", g => g.color)
+            .attr("fill-opacity", polygons.length > 1 ? 0.1 : 0.2)
+            .attr("stroke", g => g.color)
+            .attr("stroke-width", 2)
+            .transition()
+            .duration(500)
+            .style("opacity", 1)
+            .attr("d", g => radarLine(g.values));
+        
+        // Interactive points at each type's value - click to filter by that type
+        pointsGroup.selectAll(".type-point")
+            .data(visible.flatMap(g => g.values), v => `${v.group.key}:${v.type}`)
+            .join(enter => enter.append("circle")
+                .attr("class", "type-point")
+                .attr("r", 4)
+                .style("cursor", "pointer")
+                .on("mouseover", showPointTooltip)
+                .on("mouseout", function(event, v) {
+                    hidePointTooltip.call(this, v);
+                })
+                .on("click", toggleType))
+            .attr("aria-pressed", v => selection.types.includes(v.type))
+            .attr("fill", v => polygons.length > 1 ? v.group.color : typeColor(v.type))
+            .attr("stroke", v => selection.types.includes(v.type) ? "#333" : null)
+            .attr("stroke-width", 2)
+            .transition()
+            .duration(500)
+            .attr("cx", v => Math.cos(angleSlice * types.indexOf(v.type) - Math.PI / 2) * rScale(v.value))
+            .attr("cy", v => Math.sin(angleSlice * types.indexOf(v.type) - Math.PI / 2) * rScale(v.value))
+            .attr("r", v => selection.types.includes(v.type) ? 6 : 4);
+        
+        // The join keeps the points in polygon order, so stepping through them follows the drawing
+        keyboard(pointsGroup.selectAll(".type-point"));
+        
+        updateLegend(polygons);
+        refreshTable();
+    }
+    
+    function updateLegend(polygons) {
+        const items = legend.selectAll(".radar-legend-item")
+            .data(polygons, g => g.key)
+            .join(enter => {
+                const item = enter.append("g")
+                    .attr("class", "radar-legend-item")
+                    .style("cursor", "pointer")
+                    .on("click", (event, g) => {
+                        if (hiddenGroups.has(g.key)) {
+                            hiddenGroups.delete(g.key);
+                        } else {
+                            hiddenGroups.add(g.key);
+                        }
+                        updateRadar();
+                    })
+                    .call(keyboardClickable);
+                item.append("rect")
+                    .attr("width", 12)
+                    .attr("height", 12)
+                    .attr("rx", 2);
+                item.append("text")
+                    .attr("x", 18)
+                    .attr("y", 10)
+                    .style("font-size", "12px");
+                return item;
+            })
+            .attr("transform", (g, i) => `translate(0, ${i * 18})`)
+            .attr("aria-label", g => `Show ${g.label}`)
+            .attr("aria-pressed", g => !hiddenGroups.has(g.key))
+            .style("opacity", g => hiddenGroups.has(g.key) ? 0.35 : 1);
+        
+        items.select("rect").attr("fill", g => g.color);
+        items.select("text").text(g => g.label);
+    }
+    
+    // Counts per type for each polygon, as shown
+    const refreshTable = dataTable(root, state, () => {
+        const visible = polygons.filter(g => !hiddenGroups.has(g.key));
+        return {
+            caption: `${schema.itemLabel} with each ${schema.categoryLabel}` +
+                (filtered ? " (filtered rows)" : ""),
+            columns: [{label: schema.categoryLabel, value: type => type}].concat(visible.map(g => ({
+                label: g.label,
+                value: type => {
+                    const v = g.values.find(p => p.type === type);
+                    return `${v.count} (${shareOf(v)})`;
+                }
+            }))),
+            rows: types
+        };
+    });
+    
+    updateRadar();
+    
+    // Recompute type counts for the brushed Pokemon and mark selected types
+    listen("change.radar", updateRadar);
+}
@@ -0,0 +1,993 @@
+// 3. Scatter Plot - any two numeric columns (Attack vs. Defense by default) with
+// type filtering, encoding dropdowns, region selection, and zoom and pan
+
+import {chartComponent} from "./component.js";
+import {keyboardMarks, stepThrough, dataTable} from "./accessibility.js";
+import {escapeHtml} from "./dataset.js";
+
+export function scatterPlot(container, data, options = {}) {
+    return chartComponent(container, data, options, drawScatterPlot);
+}
+
+function drawScatterPlot({root, data, model, listen, id, state, margin, width, height}) {
+    const {schema, palette, imputed, allTypes, typeColor, typeLabel, groupColors, groupLabel,
+        flagLabel, flagColors, columnLabel, rowName, rowKey, selection, view, viewChanged,
+        updateSelection, focusPokemon, togglePin, isPinned, pinColor, matchesTypes,
+        statValue, isImputed, hasBrushes, matchesBrushes, evolutionFamily, canMegaEvolve,
+        tooltip} = model;
+    
+    // Create SVG container
+    const svg = root
+        .append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom + 40)
+        .attr("role", "group")
+        .append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+    // Create dropdown container
+    const dropdownContainer = root
+        .insert("div", ":first-child")
+        .attr("class", "type-filter-container")
+        .style("display", allTypes.length || schema.mega ? null : "none");
+    
+    // Create dropdown label
+    dropdownContainer.append("label")
+        .attr("for", `type-select-${id}`)
+        .text(`Filter by ${schema.categoryLabel}:`);
+    
+    // Create multi-select dropdown
+    const dropdown = dropdownContainer.append("select")
+        .attr("id", `type-select-${id}`)
+        .attr("class", "type-select")
+        .attr("multiple", true);
+    
+    // Add default "All Types" option
+    dropdown.append("option")
+        .attr("value", "all")
+        .text(`All ${schema.categoryLabel} values`)
+        .property("selected", true);
+    
+    // Add type options
+    dropdown.selectAll("type-option")
+        .data(allTypes)
+        .enter()
+        .append("option")
+        .attr("value", d => d)
+        .text(d => d)
+        .style("background-color", typeColor);
+    
+    // Add change handler that pushes the chosen types into the shared selection
+    dropdown.on("change", function() {
+        const selectedOptions = Array.from(this.selectedOptions)
+            .map(option => option.value)
+            .filter(value => value !== "all");
+        
+        if (selectedOptions.length === 0 || this.querySelector('option[value="all"]:checked')) {
+            // Show all data points
+            updateSelection({types: []});
+        } else {
+            // Filter data to ONLY include Pokémon that have ANY of the selected types
+            updateSelection({types: selectedOptions});
+        }
+    });
+    
+    dropdown.style("display", allTypes.length ? null : "none");
+    
+    // Toggle that keeps only the Pokemon that can mega evolve (starred on the plot)
+    const megaToggle = dropdownContainer.append("label")
+        .attr("class", "mega-filter")
+        .style("display", schema.mega ? null : "none");
+    
+    megaToggle.append("input")
+        .attr("type", "checkbox")
+        .on("change", function() {
+            updateSelection({megaOnly: this.checked});
+        });
+    
+    megaToggle.append("span")
+        .text(`\u2605 Only ${schema.itemLabel} with a ${columnLabel(schema.mega || "")}`);
+    
+    // Keep the dropdown in sync with types picked elsewhere (e.g. the radar)
+    function syncDropdown() {
+        dropdown.selectAll("option")
+            .property("selected", function() {
+                return this.value === "all"
+                    ? selection.types.length === 0
+                    : selection.types.includes(this.value);
+            });
+        megaToggle.select("input").property("checked", selection.megaOnly);
+    }
+
+    // Variables mapped to each visual channel, chosen from the encoding dropdowns; starts
+    // from the shared view's encoding where this chart offers its columns
+    const encoding = {...view.encoding};
+    const numericColumns = schema.numeric.filter(column => column !== schema.group);
+    const colorColumns = schema.colorColumns;
+    
+    ["x", "y", "size"].forEach(channel => {
+        if (!numericColumns.includes(encoding[channel])) encoding[channel] = schema.encoding[channel];
+    });
+    if (!colorColumns.includes(encoding.color)) {
+        encoding.color = colorColumns.includes(schema.encoding.color) ? schema.encoding.color : null;
+    }
+    
+    // Color scale for each color encoding - schema colors where given (unless the palette
+    // replaces them), the palette's otherwise
+    const colorScales = {};
+    colorColumns.forEach(column => {
+        if (schema.boolean.includes(column)) {
+            colorScales[column] = flagColors;
+        } else if (column === schema.group) {
+            colorScales[column] = groupColors;
+        } else if (schema.categories.includes(column)) {
+            colorScales[column] = typeColor;
+        } else {
+            const values = [...new Set(data.map(d => d[column]))].sort(d3.ascending);
+            const colors = (palette.schemaColors && schema.colors[column]) || {};
+            colorScales[column] = d3.scaleOrdinal()
+                .domain(values)
+                .range(values.map((value, i) => colors[value] ||
+                    palette.categorical[i % palette.categorical.length]));
+        }
+    });
+    
+    // Legend text for each color category
+    function colorLabel(value) {
+        if (encoding.color === schema.flag) return flagLabel(value);
+        if (schema.boolean.includes(encoding.color)) return value ? "Yes" : "No";
+        if (encoding.color === schema.group) return groupLabel(value);
+        return String(value).replace(/_/g, " ");
+    }
+    
+    // Leave room on the right for the color and size legends
+    const plotWidth = width - 150;
+    
+    // Create scales; their domains follow the encoding (see updateDomains)
+    const x = d3.scaleLinear()
+        .range([0, plotWidth]);
+    
+    const y = d3.scaleLinear()
+        .range([height, 0]);
+    
+    const size = d3.scaleSqrt()
+        .range([2, 10]);
+    
+    // Range of a column as drawn under the missing-data policy, padded by 5% on each side
+    // so no point sits on an axis, but not below zero for a column with no negative values
+    // (imputed values never fall outside the range)
+    function paddedExtent(column) {
+        const [min, max] = d3.extent(data, d => statValue(d, column));
+        if (min === undefined) return [0, 1];
+        const padding = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+        return [min >= 0 ? Math.max(0, min - padding) : min - padding, max + padding];
+    }
+    
+    function updateDomains() {
+        x.domain(paddedExtent(encoding.x)).nice();
+        y.domain(paddedExtent(encoding.y)).nice();
+        size.domain([0, d3.max(data, d => statValue(d, encoding.size)) || 1]);
+    }
+    
+    updateDomains();
+    
+    // Current scales after zooming/panning (start out as the full scales)
+    let xView = x;
+    let yView = y;
+    
+    // Draw axes
+    const xAxisGroup = svg.append("g")
+        .attr("class", "x-axis")
+        .attr("transform", `translate(0, ${height})`)
+        .call(d3.axisBottom(x));
+    
+    const yAxisGroup = svg.append("g")
+        .attr("class", "y-axis")
+        .call(d3.axisLeft(y));
+    
+    // Add axis labels
+    const xLabel = svg.append("text")
+        .attr("class", "x-label")
+        .attr("x", plotWidth / 2)
+        .attr("y", height + margin.bottom - 10)
+        .attr("text-anchor", "middle")
+        .text(columnLabel(encoding.x));
+    
+    const yLabel = svg.append("text")
+        .attr("class", "y-label")
+        .attr("transform", "rotate(-90)")
+        .attr("y", -margin.left + 15)
+        .attr("x", -height / 2)
+        .attr("text-anchor", "middle")
+        .text(columnLabel(encoding.y));
+    
+    // Clip points and labels to the plot area so they don't cover the axes when zoomed
+    svg.append("defs")
+        .append("clipPath")
+        .attr("id", `scatter-clip-${id}`)
+        .append("rect")
+        .attr("width", plotWidth)
+        .attr("height", height);
+    
+    // Create a group for points
+    const pointsGroup = svg.append("g")
+        .attr("class", "points-group")
+        .attr("clip-path", `url(#scatter-clip-${id})`);
+    
+    // Name labels, shown once zoomed in far enough to tell points apart
+    const labelsGroup = svg.append("g")
+        .attr("class", "point-labels")
+        .attr("clip-path", `url(#scatter-clip-${id})`);
+    const labelZoomThreshold = 3;
+    
+    // Evolution family of the Pokemon in the detail card, as arrows from each stage to
+    // the next, and stars on the Pokemon that can mega evolve
+    const familyGroup = svg.append("g")
+        .attr("class", "evolution-family")
+        .attr("clip-path", `url(#scatter-clip-${id})`)
+        .style("pointer-events", "none");
+    
+    svg.select("defs")
+        .append("marker")
+        .attr("id", `evolution-arrow-${id}`)
+        .attr("viewBox", "0 0 10 10")
+        .attr("refX", 10)
+        .attr("refY", 5)
+        .attr("markerWidth", 6)
+        .attr("markerHeight", 6)
+        .attr("orient", "auto")
+        .append("path")
+        .attr("d", "M0,0L10,5L0,10Z")
+        .attr("fill", "#222");
+    
+    const megaGroup = svg.append("g")
+        .attr("class", "mega-markers")
+        .attr("clip-path", `url(#scatter-clip-${id})`)
+        .style("pointer-events", "none");
+    
+    const megaSymbol = d3.symbol()
+        .type(d3.symbolStar)
+        .size(40);
+    
+    // Region selection - a rectangular brush or a freehand lasso over the points; the mode
+    // and the picked Pokemon are kept when the chart is redrawn
+    let selectMode = state.selectMode || "brush";
+    let regionSelection = (state.regionSelection || []).filter(d => data.includes(d));
+    let plottedData = data;     // points currently drawn (after the type filter)
+    
+    // Mode buttons and a clear button above the plot
+    const selectionControls = root
+        .insert("div", "svg")
+        .attr("class", "selection-controls");
+    
+    selectionControls.append("span")
+        .attr("class", "selection-controls-label")
+        .text("Select region:");
+    
+    const modeButtons = selectionControls.selectAll(".mode-button")
+        .data([
+            {mode: "brush", label: "Rectangle"},
+            {mode: "lasso", label: "Lasso"},
+            {mode: "pan", label: "Pan"}
+        ])
+        .enter()
+        .append("button")
+        .attr("class", "mode-button")
+        .classed("active", d => d.mode === selectMode)
+        .text(d => d.label)
+        .on("click", (event, d) => setSelectMode(d.mode));
+    
+    selectionControls.append("button")
+        .attr("class", "clear-selection-button")
+        .text("Clear Selection")
+        .on("click", clearRegionSelection);
+    
+    selectionControls.append("button")
+        .attr("class", "reset-zoom-button")
+        .text("Reset Zoom")
+        .on("click", resetZoom);
+    
+    // Rectangular brush drawn on top of the points
+    const regionBrush = d3.brush()
+        .extent([[0, 0], [plotWidth, height]])
+        .on("brush end", regionBrushed);
+    
+    const regionBrushGroup = svg.append("g")
+        .attr("class", "region-brush")
+        .style("display", selectMode === "brush" ? null : "none")
+        .call(regionBrush);
+    
+    // Lasso overlay, only visible in lasso mode
+    const lassoGroup = svg.append("g")
+        .attr("class", "lasso")
+        .style("display", selectMode === "lasso" ? null : "none");
+    
+    lassoGroup.append("rect")
+        .attr("class", "lasso-overlay")
+        .attr("width", plotWidth)
+        .attr("height", height)
+        .attr("fill", "transparent")
+        .style("cursor", "crosshair");
+    
+    const lassoPath = lassoGroup.append("path")
+        .attr("class", "lasso-path");
+    
+    let lassoCoords = [];
+    
+    lassoGroup.call(d3.drag()
+        .on("start", event => {
+            lassoCoords = [[event.x, event.y]];
+            lassoPath.attr("d", null);
+        })
+        .on("drag", event => {
+            lassoCoords.push([event.x, event.y]);
+            lassoPath.attr("d", d3.line()(lassoCoords));
+        })
+        .on("end", () => {
+            // A click without dragging clears the lasso
+            if (lassoCoords.length < 3) {
+                clearRegionSelection();
+                return;
+            }
+            lassoPath.attr("d", d3.line()(lassoCoords) + "Z");
+            setRegionSelection(plottedData.filter(d =>
+                d3.polygonContains(lassoCoords, [pointX(d), pointY(d)])));
+        }));
+    
+    // Switch between rectangle selection, lasso selection and panning
+    function setSelectMode(mode) {
+        selectMode = state.selectMode = mode;
+        modeButtons.classed("active", d => d.mode === mode);
+        regionBrushGroup.style("display", mode === "brush" ? null : "none");
+        lassoGroup.style("display", mode === "lasso" ? null : "none");
+        // Panning keeps the current selection; switching tools starts a new one
+        if (mode === "pan") {
+            clearRegionShapes();
+        } else {
+            clearRegionSelection();
+        }
+    }
+    
+    // Brush event handler - pick the points inside the rectangle
+    function regionBrushed(event) {
+        // Ignore the programmatic move that clears the brush
+        if (!event.sourceEvent) return;
+        if (!event.selection) {
+            setRegionSelection([]);
+            return;
+        }
+        const [[x0, y0], [x1, y1]] = event.selection;
+        setRegionSelection(plottedData.filter(d => {
+            const px = pointX(d);
+            const py = pointY(d);
+            return px >= x0 && px <= x1 && py >= y0 && py <= y1;
+        }));
+    }
+    
+    // Remove the drawn rectangle and lasso, keeping the selected Pokemon
+    function clearRegionShapes() {
+        regionBrushGroup.call(regionBrush.move, null);
+        lassoCoords = [];
+        lassoPath.attr("d", null);
+    }
+    
+    // Clear the brush, the lasso and the selected list
+    function clearRegionSelection() {
+        clearRegionShapes();
+        setRegionSelection([]);
+    }
+    
+    // Outline the selected points and refresh the side table
+    function setRegionSelection(selected) {
+        regionSelection = state.regionSelection = selected;
+        pointsGroup.selectAll(".point")
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth);
+        updateSelectionTable();
+    }
+    
+    // The focused and pinned Pokemon get a heavier outline than region-selected ones
+    function pointStroke(d) {
+        if (d === selection.focus) return "#222";
+        if (isPinned(d)) return pinColor(d);
+        return regionSelection.includes(d) ? "#222" : null;
+    }
+    
+    function pointStrokeWidth(d) {
+        return d === selection.focus || isPinned(d) ? 3 : 1.5;
+    }
+    
+    // Keep points and labels above the brush and lasso so points can be hovered and clicked
+    pointsGroup.raise();
+    familyGroup.raise();
+    megaGroup.raise();
+    labelsGroup.raise();
+    
+    // Side table listing the selected Pokemon
+    const selectionPanel = root
+        .append("div")
+        .attr("class", "selection-table-container");
+    
+    const selectionHeader = selectionPanel.append("div")
+        .attr("class", "selection-table-header");
+    
+    const selectionTable = selectionPanel.append("table")
+        .attr("class", "selection-table");
+    
+    // Name, types, the total (or first stat) the rows are sorted by, and the group
+    const sortColumn = schema.total || schema.stats[0];
+    const tableColumns = [
+        {label: "Name", value: rowName},
+        schema.categories.length && {label: "Types", value: typeLabel},
+        {label: columnLabel(sortColumn), value: d => d[sortColumn]},
+        schema.group && {label: schema.groupLabel || columnLabel(schema.group), value: d => d[schema.group]}
+    ].filter(Boolean);
+    
+    selectionTable.append("thead")
+        .append("tr")
+        .selectAll("th")
+        .data(tableColumns)
+        .enter()
+        .append("th")
+        .text(d => d.label);
+    
+    const selectionBody = selectionTable.append("tbody");
+    
+    function updateSelectionTable() {
+        selectionHeader.text(regionSelection.length === 0
+            ? `Drag on the plot to select ${schema.itemLabel}`
+            : `Selected: ${regionSelection.length}`);
+        
+        const rows = selectionBody.selectAll("tr")
+            .data([...regionSelection].sort((a, b) => b[sortColumn] - a[sortColumn]), rowKey);
+        
+        rows.exit().remove();
+        
+        rows.enter()
+            .append("tr")
+            .merge(rows)
+            .order()
+            .html(d => tableColumns.map(column => `<td>${escapeHtml(column.value(d))}</td>`).join(""));
+    }
+    
+    updateSelectionTable();
+    
+    // Zoom and pan - the scroll wheel zooms in every mode, dragging pans in "Pan" mode
+    // (and only there, so a drag that starts on a point in the other modes doesn't pan);
+    // like d3's default filter, it ignores secondary buttons and ctrl-clicks
+    let zoomTransform = d3.zoomIdentity;
+    
+    const zoom = d3.zoom()
+        .filter(event => (!event.ctrlKey || event.type === "wheel") && !event.button &&
+            (event.type === "wheel" || selectMode === "pan"))
+        .scaleExtent([1, 20])
+        .extent([[0, 0], [plotWidth, height]])
+        .translateExtent([[0, 0], [plotWidth, height]])
+        .on("zoom", zoomed);
+    
+    const svgRoot = d3.select(svg.node().ownerSVGElement)
+        .call(zoom);
+    
+    // Set while an encoding change resets the zoom, so only the scales are updated
+    let resettingZoom = false;
+    
+    function zoomed(event) {
+        zoomTransform = event.transform;
+        xView = zoomTransform.rescaleX(x);
+        yView = zoomTransform.rescaleY(y);
+        if (resettingZoom) return;
+        
+        // Drawn brush/lasso shapes no longer line up with the points
+        if (event.sourceEvent) clearRegionShapes();
+        
+        xAxisGroup.call(d3.axisBottom(xView));
+        yAxisGroup.call(d3.axisLeft(yView));
+        
+        // Move the points without scaling their radius
+        pointsGroup.selectAll(".point")
+            .attr("cx", pointX)
+            .attr("cy", pointY);
+        
+        updateLabels();
+        updateMegaMarkers(0);
+        updateFamily(0);
+    }
+    
+    // Animate back to the full view
+    function resetZoom() {
+        svgRoot.transition()
+            .duration(750)
+            .call(zoom.transform, d3.zoomIdentity);
+    }
+    
+    // Label the points in view once zoomed past the threshold
+    function updateLabels() {
+        const visible = zoomTransform.k < labelZoomThreshold ? [] : plottedData.filter(d => {
+            const px = pointX(d);
+            const py = pointY(d);
+            return px >= 0 && px <= plotWidth && py >= 0 && py <= height;
+        });
+        
+        const labels = labelsGroup.selectAll(".point-label")
+            .data(visible, rowKey);
+        
+        labels.exit().remove();
+        
+        labels.enter()
+            .append("text")
+            .attr("class", "point-label")
+            .attr("dy", -8)
+            .attr("text-anchor", "middle")
+            .style("font-size", "10px")
+            .style("pointer-events", "none")
+            .text(rowName)
+            .merge(labels)
+            .attr("x", pointX)
+            .attr("y", pointY);
+    }
+    
+    // Redraw whenever the shared selection changes
+    listen("change.scatter", () => {
+        syncDropdown();
+        updatePlot(data.filter(matchesTypes));
+        // Drop selected Pokemon that the type filter just hid
+        setRegionSelection(regionSelection.filter(matchesTypes));
+    });
+    
+    // Position, radius and color of a point under the current encoding and zoom
+    function pointX(d) {
+        return xView(statValue(d, encoding.x));
+    }
+    
+    function pointY(d) {
+        return yView(statValue(d, encoding.y));
+    }
+    
+    function pointRadius(d) {
+        const value = statValue(d, encoding.size);
+        return isNaN(value) ? size.range()[0] : size(value);
+    }
+    
+    function pointColor(d) {
+        return encoding.color ? colorScales[encoding.color](d[encoding.color]) : palette.single;
+    }
+    
+    // Pokemon missing a value on either axis can't be placed unless it is imputed
+    // (the scatter has no missing band, so "band" leaves them out like "exclude")
+    function hasPosition(d) {
+        return !isNaN(statValue(d, encoding.x)) && !isNaN(statValue(d, encoding.y));
+    }
+    
+    // A Pokemon's value as shown, marked if it was imputed
+    function valueText(d, column) {
+        return isImputed(d, column)
+            ? `${d3.format(".4~g")(statValue(d, column))} (imputed)`
+            : isNaN(d[column]) ? "\u2013" : d[column];
+    }
+    
+    // Tooltip with the Pokemon's name, types and the plotted values
+    function showPointTooltip(event, d) {
+        const value = column => valueText(d, column);
+        tooltip
+            .style("opacity", 1)
+            .html(`<strong>${escapeHtml(rowName(d))}</strong><br>${escapeHtml(typeLabel(d))}<br>` +
+                `${escapeHtml(columnLabel(encoding.x))}: ${escapeHtml(value(encoding.x))}<br>` +
+                `${escapeHtml(columnLabel(encoding.y))}: ${escapeHtml(value(encoding.y))}<br>` +
+                "<em>Click for details, shift-click to compare</em>")
+            .style("left", (event.pageX + 10) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    // Click for details, shift-click to compare
+    function activatePoint(event, d) {
+        if (event.shiftKey) {
+            togglePin(d);
+        } else {
+            focusPokemon(d);
+        }
+    }
+    
+    // Left and right step through the points in order of their x value, up and down in
+    // order of their y value
+    function pointOrder(value) {
+        return (a, b) => value(a) - value(b) || d3.ascending(rowName(a), rowName(b));
+    }
+    
+    const keyboard = keyboardMarks({
+        key: rowKey,
+        label: d => [rowName(d), schema.categories.length ? typeLabel(d) : null,
+            `${columnLabel(encoding.x)} ${valueText(d, encoding.x)}`,
+            `${columnLabel(encoding.y)} ${valueText(d, encoding.y)}`]
+            .filter(Boolean).join(", ") +
+            (canMegaEvolve(d) ? ", can mega evolve" : "") +
+            (d === selection.focus ? ", shown in details" : "") +
+            (isPinned(d) ? ", pinned" : ""),
+        next: (d, key, points) => {
+            if (key === "ArrowLeft" || key === "ArrowRight" || key === "Home" || key === "End") {
+                return stepThrough(points.slice().sort(pointOrder(p => statValue(p, encoding.x))),
+                    d, key, "ArrowLeft", "ArrowRight");
+            }
+            return stepThrough(points.slice().sort(pointOrder(p => statValue(p, encoding.y))),
+                d, key, "ArrowDown", "ArrowUp");
+        },
+        activate: activatePoint,
+        show: showPointTooltip,
+        hide: () => tooltip.style("opacity", 0)
+    });
+    
+    // Outline the Pokemon shown in the detail card and the pinned ones
+    function updatePointOutlines() {
+        const focused = document.activeElement;
+        pointsGroup.selectAll(".point")
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth)
+            .filter(isPinned)
+            .raise();
+        // Raising a point takes away its keyboard focus
+        if (focused !== document.activeElement && pointsGroup.node().contains(focused)) focused.focus();
+        updateKeyboard();
+    }
+    
+    // Points still on the plot (not the ones fading out) take part in keyboard navigation
+    function updateKeyboard() {
+        const plotted = new Set(plottedData);
+        keyboard(pointsGroup.selectAll(".point").filter(d => plotted.has(d)));
+    }
+    
+    // Arrows through the focused Pokemon's evolution family, with each stage named;
+    // stages without a position on both axes are left out
+    function updateFamily(duration) {
+        const family = selection.focus ? evolutionFamily(selection.focus) : {members: [], links: []};
+        const links = family.links.filter(([from, into]) => hasPosition(from) && hasPosition(into));
+        const members = family.members.filter(d => links.some(link => link.includes(d)));
+        
+        // Stop the arrowhead at the edge of the evolved Pokemon's circle
+        function end(from, into) {
+            const dx = pointX(into) - pointX(from);
+            const dy = pointY(into) - pointY(from);
+            const length = Math.hypot(dx, dy) || 1;
+            const back = Math.min(length, pointRadius(into) + 2) / length;
+            return [pointX(into) - dx * back, pointY(into) - dy * back];
+        }
+        
+        familyGroup.selectAll(".evolution-link")
+            .data(links, ([from, into]) => `${rowKey(from)}-${rowKey(into)}`)
+            .join(enter => enter.append("line")
+                .attr("class", "evolution-link")
+                .attr("stroke", "#222")
+                .attr("stroke-width", 1.5)
+                .attr("marker-end", `url(#evolution-arrow-${id})`)
+                .attr("x1", ([from]) => pointX(from))
+                .attr("y1", ([from]) => pointY(from))
+                .attr("x2", ([from, into]) => end(from, into)[0])
+                .attr("y2", ([from, into]) => end(from, into)[1]))
+            .transition()
+            .duration(duration)
+            .attr("x1", ([from]) => pointX(from))
+            .attr("y1", ([from]) => pointY(from))
+            .attr("x2", ([from, into]) => end(from, into)[0])
+            .attr("y2", ([from, into]) => end(from, into)[1]);
+        
+        familyGroup.selectAll(".evolution-label")
+            .data(members, rowKey)
+            .join(enter => enter.append("text")
+                .attr("class", "evolution-label")
+                .attr("dy", -10)
+                .attr("text-anchor", "middle")
+                .style("font-size", "10px")
+                .attr("x", pointX)
+                .attr("y", pointY))
+            .text(rowName)
+            .style("font-weight", d => d === selection.focus ? "bold" : null)
+            .transition()
+            .duration(duration)
+            .attr("x", pointX)
+            .attr("y", pointY);
+    }
+    
+    // A star at the upper right of each plotted Pokemon that can mega evolve
+    function updateMegaMarkers(duration) {
+        const position = d => `translate(${pointX(d) + pointRadius(d) * 0.7}, ${pointY(d) - pointRadius(d) * 0.7})`;
+        megaGroup.selectAll(".mega-marker")
+            .data(plottedData.filter(canMegaEvolve), rowKey)
+            .join(enter => enter.append("path")
+                .attr("class", "mega-marker")
+                .attr("d", megaSymbol)
+                .attr("fill", "#fff")
+                .attr("stroke", "#222")
+                .attr("stroke-width", 1)
+                .attr("transform", position))
+            .transition()
+            .duration(duration)
+            .attr("transform", position);
+    }
+    
+    listen("focus.scatter", updatePointOutlines);
+    listen("focus.scatterFamily", () => updateFamily(0));
+    listen("pin.scatter", updatePointOutlines);
+    
+    // Points inside the parallel-coordinate brushes stand out from the rest
+    function pointOpacity(d) {
+        if (!hasBrushes()) return 0.7;
+        return matchesBrushes(d) ? 0.9 : 0.15;
+    }
+    
+    // Update plot with filtered data
+    function updatePlot(plotData) {
+        plottedData = plotData.filter(hasPosition);
+        updateLabels();
+        
+        // Update points with animation
+        const points = pointsGroup.selectAll(".point")
+            .data(plottedData, rowKey);
+            
+        // Exit animation
+        points.exit()
+            .transition()
+            .duration(500)
+            .attr("r", 0)
+            .attr("opacity", 0)
+            .remove();
+        
+        // Enter animation for new points
+        points.enter()
+            .append("circle")
+            .attr("class", "point")
+            .attr("cx", pointX)
+            .attr("cy", pointY)
+            .attr("r", 0)
+            .attr("fill", pointColor)
+            .attr("opacity", pointOpacity)
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth)
+            .style("cursor", "pointer")
+            .on("mouseover", showPointTooltip)
+            .on("mousemove", showPointTooltip)
+            .on("mouseout", () => tooltip.style("opacity", 0))
+            // Shift-click pins straight to the compare tray
+            .on("click", activatePoint)
+            .transition()
+            .duration(500)
+            .attr("r", pointRadius);
+        
+        // Update existing points
+        points.transition()
+            .duration(500)
+            .attr("cx", pointX)
+            .attr("cy", pointY)
+            .attr("r", pointRadius)
+            .attr("opacity", pointOpacity)
+            .attr("fill", pointColor);
+        
+        updateMegaMarkers(500);
+        updateFamily(500);
+        updateKeyboard();
+        svgRoot.attr("aria-label", `Scatter plot of ${columnLabel(encoding.y)} against ` +
+            `${columnLabel(encoding.x)}, ${plottedData.length} ${schema.itemLabel} - ` +
+            "use the arrow keys to move between points");
+        refreshTable();
+    }
+    
+    // The plotted Pokemon with every encoded value
+    const refreshTable = dataTable(root, state, () => {
+        const channels = [...new Set([encoding.x, encoding.y, encoding.size, encoding.color].filter(Boolean))];
+        return {
+            caption: `${columnLabel(encoding.y)} against ${columnLabel(encoding.x)}, ` +
+                `${plottedData.length} ${schema.itemLabel}`,
+            columns: [
+                {label: "Name", value: rowName},
+                schema.categories.length && {label: "Types", value: typeLabel},
+                schema.mega && {label: columnLabel(schema.mega), value: d => canMegaEvolve(d) ? "Yes" : "No"}
+            ].filter(Boolean).concat(channels.map(column => ({
+                label: columnLabel(column),
+                value: d => column === encoding.color ? colorLabel(d[column]) : valueText(d, column)
+            }))),
+            rows: [...plottedData].sort((a, b) => d3.ascending(rowName(a), rowName(b)))
+        };
+    });
+    
+    // Initial plot with the Pokemon passing the type filter
+    updatePlot(data.filter(matchesTypes));
+    syncDropdown();
+    
+    // Color legend - one entry per category of the color variable
+    const legend = svg.append("g")
+        .attr("class", "color-legend")
+        .attr("transform", `translate(${plotWidth + 20}, 0)`);
+    
+    const legendTitle = legend.append("text")
+        .attr("class", "legend-title")
+        .attr("x", 0)
+        .attr("y", 0)
+        .style("font-size", "12px")
+        .style("font-weight", "bold");
+    
+    // Size legend to show what circle sizes represent
+    const sizeLegend = svg.append("g")
+        .attr("class", "size-legend")
+        .attr("transform", `translate(${plotWidth + 20}, 175)`);
+    
+    const sizeLegendTitle = sizeLegend.append("text")
+        .attr("x", 0)
+        .attr("y", 0)
+        .style("font-size", "12px")
+        .style("font-weight", "bold");
+    
+    // The star marking Pokemon that can mega evolve, under the sizes
+    if (schema.mega) {
+        const megaLegend = sizeLegend.append("g")
+            .attr("class", "mega-legend")
+            .attr("transform", "translate(0, 95)");
+        
+        megaLegend.append("path")
+            .attr("d", megaSymbol)
+            .attr("transform", "translate(10, -4)")
+            .attr("fill", "#fff")
+            .attr("stroke", "#222");
+        
+        megaLegend.append("text")
+            .attr("x", 22)
+            .style("font-size", "12px")
+            .text(columnLabel(schema.mega));
+    }
+    
+    function updateLegends() {
+        // Categories wrap into a second column after nine entries; the legend stays empty
+        // when there is no color encoding
+        const categories = encoding.color ? colorScales[encoding.color].domain()
+            .filter(value => data.some(d => d[encoding.color] === value)) : [];
+        const rowsPerColumn = 9;
+        const itemPosition = i =>
+            `translate(${Math.floor(i / rowsPerColumn) * 100}, ${(i % rowsPerColumn) * 15 + 15})`;
+        
+        legendTitle.text(encoding.color ? columnLabel(encoding.color) : "");
+        
+        const items = legend.selectAll(".legend-entry")
+            .data(categories, d => `${encoding.color}:${d}`);
+        
+        items.exit()
+            .transition()
+            .duration(500)
+            .style("opacity", 0)
+            .remove();
+        
+        const itemsEnter = items.enter()
+            .append("g")
+            .attr("class", "legend-entry")
+            .attr("transform", (d, i) => itemPosition(i))
+            .style("opacity", 0);
+        
+        itemsEnter.append("circle")
+            .attr("cx", 5)
+            .attr("cy", -4)
+            .attr("r", 5);
+        
+        itemsEnter.append("text")
+            .attr("x", 15)
+            .style("font-size", "11px");
+        
+        const allItems = itemsEnter.merge(items);
+        allItems.select("circle").attr("fill", d => colorScales[encoding.color](d));
+        allItems.select("text").text(colorLabel);
+        allItems.transition()
+            .duration(500)
+            .attr("transform", (d, i) => itemPosition(i))
+            .style("opacity", 1);
+        
+        // Three reference sizes spread over the size variable's range
+        const sizeValues = size.ticks(3).filter(v => v > 0).slice(-3);
+        
+        sizeLegendTitle.text(columnLabel(encoding.size));
+        
+        const sizeItems = sizeLegend.selectAll(".size-entry")
+            .data(sizeValues, d => `${encoding.size}:${d}`);
+        
+        sizeItems.exit()
+            .transition()
+            .duration(500)
+            .style("opacity", 0)
+            .remove();
+        
+        const sizeEnter = sizeItems.enter()
+            .append("g")
+            .attr("class", "size-entry")
+            .attr("transform", (d, i) => `translate(0, ${i * 22 + 18})`)
+            .style("opacity", 0);
+        
+        sizeEnter.append("circle")
+            .attr("cx", 10)
+            .attr("fill", "none")
+            .attr("stroke", "#000")
+            .attr("stroke-width", 1);
+        
+        sizeEnter.append("text")
+            .attr("y", 3)
+            .style("font-size", "12px");
+        
+        const allSizeItems = sizeEnter.merge(sizeItems);
+        allSizeItems.select("circle").attr("r", d => size(d));
+        allSizeItems.select("text")
+            .attr("x", d => 10 + size(d) + 5)
+            .text(d => d3.format("~g")(d));
+        allSizeItems.transition()
+            .duration(500)
+            .attr("transform", (d, i) => `translate(0, ${i * 22 + 18})`)
+            .style("opacity", 1);
+    }
+    
+    updateLegends();
+    
+    // Encoding dropdowns - one per channel; color can be left out ("None") when the
+    // schema has no color encoding this chart offers
+    const encodingControls = root
+        .insert("div", "svg")
+        .attr("class", "encoding-controls");
+    
+    const channels = [
+        {channel: "x", label: "X:", options: numericColumns},
+        {channel: "y", label: "Y:", options: numericColumns},
+        {channel: "size", label: "Size:", options: numericColumns},
+        {channel: "color", label: "Color:", options: colorColumns.includes(schema.encoding.color) ? colorColumns : [null, ...colorColumns]}
+    ];
+    
+    channels.forEach(({channel, label, options}) => {
+        const control = encodingControls.append("span")
+            .attr("class", "encoding-control");
+        
+        control.append("label")
+            .attr("for", `encoding-${channel}-${id}`)
+            .text(label);
+        
+        control.append("select")
+            .attr("id", `encoding-${channel}-${id}`)
+            .on("change", function() {
+                updateEncoding({[channel]: this.value || null});
+                view.encoding = {...encoding};
+                viewChanged();
+            })
+            .selectAll("option")
+            .data(options)
+            .enter()
+            .append("option")
+            .attr("value", d => d || "")
+            .property("selected", d => d === encoding[channel])
+            .text(d => d ? columnLabel(d) : "None");
+    });
+    
+    // Switch variables and animate points, axes, labels and legends to the new mapping
+    function updateEncoding(changes) {
+        Object.assign(encoding, changes);
+        
+        updateDomains();
+        
+        // Start the new variables from the full view; the transitions below do the redraw
+        resettingZoom = true;
+        svgRoot.call(zoom.transform, d3.zoomIdentity);
+        resettingZoom = false;
+        clearRegionShapes();
+        
+        xAxisGroup.transition().duration(500).call(d3.axisBottom(xView));
+        yAxisGroup.transition().duration(500).call(d3.axisLeft(yView));
+        
+        xLabel.transition().duration(250).style("opacity", 0)
+            .transition().duration(250).text(columnLabel(encoding.x)).style("opacity", 1);
+        yLabel.transition().duration(250).style("opacity", 0)
+            .transition().duration(250).text(columnLabel(encoding.y)).style("opacity", 1);
+        
+        updatePlot(data.filter(matchesTypes));
+        updateLegends();
+    }
+    
+    // Apply encodings set elsewhere (e.g. restored from the URL)
+    listen("view.scatter", () => {
+        const changes = {};
+        Object.keys(encoding).forEach(channel => {
+            const column = view.encoding[channel];
+            if (column !== encoding[channel] && channels.some(c => c.channel === channel && c.options.includes(column))) {
+                changes[channel] = column;
+                root.select(`#encoding-${channel}-${id}`).property("value", column || "");
+            }
+        });
+        if (Object.keys(changes).length) updateEncoding(changes);
+    });
+}
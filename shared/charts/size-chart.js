@@ -0,0 +1,495 @@
+// 11. Size Chart - Height vs. Weight on log scales colored by body style, with weight
+// per height, BMI and density derived from the two, a power-law fit and each Pokemon's
+// residual from it. Clicking a body style filters every chart to it.
+
+import {chartComponent} from "./component.js";
+import {keyboardMarks, keyboardClickable, stepThrough, dataTable} from "./accessibility.js";
+import {escapeHtml} from "./dataset.js";
+
+export function sizeChart(container, data, options = {}) {
+    return chartComponent(container, data, options, drawSizeChart);
+}
+
+// Metrics plotted against height - weight over a power of height, so each is a
+// straight line on the log scales (BMI divides by the square, density by the cube)
+const sizeMetrics = [
+    {key: "weight", label: "Weight", power: 0},
+    {key: "weightPerHeight", label: "Weight per height", power: 1},
+    {key: "bmi", label: "BMI (weight / height\u00b2)", power: 2},
+    {key: "density", label: "Density (weight / height\u00b3)", power: 3}
+];
+
+// Residuals more than this many standard deviations from the fit are outlined
+const outlierSpread = 2;
+
+function drawSizeChart({root, data, model, listen, id, state, margin, width, height}) {
+    const {schema, palette, typeLabel, columnLabel, rowName, rowKey, selection,
+        updateSelection, focusPokemon, togglePin, isPinned, pinColor, matchesTypes,
+        statValue, hasBrushes, matchesBrushes, tooltip} = model;
+    
+    // Metric and color mode carry over when the chart is redrawn
+    let metric = sizeMetrics.find(m => m.key === state.metric) || sizeMetrics[0];
+    let colorMode = state.colorMode || "bodyStyle";
+    
+    function heightOf(d) {
+        return statValue(d, schema.height);
+    }
+    
+    function metricValue(d) {
+        return statValue(d, schema.weight) / Math.pow(heightOf(d), metric.power);
+    }
+    
+    function metricLabel() {
+        return metric.power === 0 ? columnLabel(schema.weight) : metric.label;
+    }
+    
+    // Log scales need a positive height and weight
+    function hasPosition(d) {
+        return heightOf(d) > 0 && statValue(d, schema.weight) > 0;
+    }
+    
+    // Body styles, each with its own color (the schema's where given)
+    const bodyStyles = schema.bodyStyle
+        ? [...new Set(data.map(d => d[schema.bodyStyle]))].filter(Boolean).sort()
+        : [];
+    const schemaColors = (palette.schemaColors && schema.colors[schema.bodyStyle]) || {};
+    const bodyStyleColor = d3.scaleOrdinal()
+        .domain(bodyStyles)
+        .range(bodyStyles.map((style, i) => schemaColors[style] ||
+            palette.categorical[i % palette.categorical.length]));
+    
+    function bodyStyleLabel(style) {
+        return String(style).replace(/_/g, " ");
+    }
+    
+    // Controls - the metric on the y axis, the color mode and clearing the body style
+    const controls = root.append("div")
+        .attr("class", "size-controls");
+    
+    controls.append("label")
+        .attr("for", `size-metric-${id}`)
+        .text("Y:");
+    
+    controls.append("select")
+        .attr("id", `size-metric-${id}`)
+        .on("change", function() {
+            metric = sizeMetrics.find(m => m.key === this.value);
+            state.metric = metric.key;
+            updateChart();
+        })
+        .selectAll("option")
+        .data(sizeMetrics)
+        .enter()
+        .append("option")
+        .attr("value", m => m.key)
+        .property("selected", m => m === metric)
+        .text(m => m.power === 0 ? columnLabel(schema.weight) : m.label);
+    
+    controls.append("label")
+        .attr("for", `size-color-${id}`)
+        .text("Color:");
+    
+    controls.append("select")
+        .attr("id", `size-color-${id}`)
+        .on("change", function() {
+            colorMode = state.colorMode = this.value;
+            updateChart();
+        })
+        .selectAll("option")
+        .data([
+            {key: "bodyStyle", label: schema.bodyStyle ? columnLabel(schema.bodyStyle) : "None"},
+            {key: "residual", label: "Residual from fit"}
+        ])
+        .enter()
+        .append("option")
+        .attr("value", d => d.key)
+        .property("selected", d => d.key === colorMode)
+        .text(d => d.label);
+    
+    const clearButton = controls.append("button")
+        .attr("class", "size-clear")
+        .text(`Clear ${schema.bodyStyle ? columnLabel(schema.bodyStyle).toLowerCase() : "filter"}`)
+        .style("display", schema.bodyStyle ? null : "none")
+        .on("click", () => updateSelection({bodyStyle: null}));
+    
+    // Leave room on the right for the body style legend
+    const plotWidth = width - 140;
+    
+    const svgRoot = root.append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom)
+        .attr("role", "group");
+    
+    const svg = svgRoot.append("g")
+        .attr("transform", `translate(${margin.left}, ${margin.top})`);
+    
+    // Log scales over every Pokemon with a size, so filtering doesn't move the axes (the
+    // missing-data policy and the metric do, as they change the sizes)
+    let sized = [];
+    
+    const x = d3.scaleLog()
+        .range([0, plotWidth]);
+    
+    const y = d3.scaleLog()
+        .range([height, 0]);
+    
+    const size = d3.scaleSqrt()
+        .domain([0, schema.total ? d3.max(data, d => d[schema.total]) : 1])
+        .range([2, 8]);
+    
+    function updateScales() {
+        sized = data.filter(hasPosition);
+        x.domain(d3.extent(sized, heightOf)).nice();
+        y.domain(d3.extent(sized, metricValue)).nice();
+    }
+    
+    const xAxisGroup = svg.append("g")
+        .attr("class", "x-axis")
+        .attr("transform", `translate(0, ${height})`);
+    
+    const yAxisGroup = svg.append("g")
+        .attr("class", "y-axis");
+    
+    svg.append("text")
+        .attr("x", plotWidth / 2)
+        .attr("y", height + margin.bottom - 10)
+        .attr("text-anchor", "middle")
+        .text(`${columnLabel(schema.height)} (log scale)`);
+    
+    const yLabel = svg.append("text")
+        .attr("transform", "rotate(-90)")
+        .attr("y", -margin.left + 12)
+        .attr("x", -height / 2)
+        .attr("text-anchor", "middle");
+    
+    // Fitted line and its slope and R squared above the plot
+    const fitLine = svg.append("line")
+        .attr("class", "size-fit")
+        .attr("stroke", "#333")
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "6 4");
+    
+    const fitText = svg.append("text")
+        .attr("class", "size-fit-text")
+        .attr("y", -12)
+        .style("font-size", "11px")
+        .style("fill", "#555");
+    
+    const pointsGroup = svg.append("g")
+        .attr("class", "size-points");
+    
+    // The fitted line stays visible over the points without getting in the way of the mouse
+    fitLine.raise()
+        .style("pointer-events", "none");
+    
+    // Least-squares line through the log values, log(metric) = intercept + slope * log(height),
+    // with R squared and the spread of the residuals
+    function fitPowerLaw(rows) {
+        const points = rows.map(d => [Math.log10(heightOf(d)), Math.log10(metricValue(d))]);
+        if (points.length < 3) return null;
+        const meanX = d3.mean(points, p => p[0]);
+        const meanY = d3.mean(points, p => p[1]);
+        const sxx = d3.sum(points, p => (p[0] - meanX) * (p[0] - meanX));
+        if (sxx === 0) return null;
+        const slope = d3.sum(points, p => (p[0] - meanX) * (p[1] - meanY)) / sxx;
+        const intercept = meanY - slope * meanX;
+        const residuals = points.map(p => p[1] - (intercept + slope * p[0]));
+        const total = d3.sum(points, p => (p[1] - meanY) * (p[1] - meanY));
+        return {
+            slope,
+            intercept,
+            r2: total ? 1 - d3.sum(residuals, r => r * r) / total : 1,
+            spread: d3.deviation(residuals) || 0,
+            count: points.length
+        };
+    }
+    
+    let plottedData = [];
+    let fit = null;
+    
+    // How far a Pokemon is above (heavier) or below (lighter) the fit, in log10 units
+    function residual(d) {
+        return fit ? Math.log10(metricValue(d)) - (fit.intercept + fit.slope * Math.log10(heightOf(d))) : 0;
+    }
+    
+    function isOutlier(d) {
+        return fit != null && fit.spread > 0 && Math.abs(residual(d)) > outlierSpread * fit.spread &&
+            (!hasBrushes() || matchesBrushes(d));
+    }
+    
+    // Residual as a factor of the fitted value, e.g. "2.1x the fit"
+    function residualText(d) {
+        return `${d3.format(".2~f")(Math.pow(10, residual(d)))}\u00d7 the fit`;
+    }
+    
+    // Heavier than the fit in red, lighter in blue
+    const residualColor = d3.scaleDiverging(d3.interpolateRdBu)
+        .clamp(true);
+    
+    function pointColor(d) {
+        if (colorMode === "residual") return residualColor(residual(d));
+        return schema.bodyStyle ? bodyStyleColor(d[schema.bodyStyle]) : palette.single;
+    }
+    
+    function pointRadius(d) {
+        return schema.total && !isNaN(d[schema.total]) ? size(d[schema.total]) : 4;
+    }
+    
+    // Points inside the parallel-coordinate brushes stand out from the rest
+    function pointOpacity(d) {
+        if (!hasBrushes()) return 0.75;
+        return matchesBrushes(d) ? 0.9 : 0.15;
+    }
+    
+    // The focused and pinned Pokemon get a heavier outline than the outliers
+    function pointStroke(d) {
+        if (d === selection.focus) return "#222";
+        if (isPinned(d)) return pinColor(d);
+        return isOutlier(d) ? "#222" : "#fff";
+    }
+    
+    function pointStrokeWidth(d) {
+        return d === selection.focus || isPinned(d) ? 3 : isOutlier(d) ? 1.5 : 0.5;
+    }
+    
+    const format = d3.format(".3~g");
+    
+    function showPointTooltip(event, d) {
+        tooltip
+            .style("opacity", 1)
+            .html(`<strong>${escapeHtml(rowName(d))}</strong><br>${escapeHtml(typeLabel(d))}<br>` +
+                (schema.bodyStyle ? `${escapeHtml(columnLabel(schema.bodyStyle))}: ` +
+                    `${escapeHtml(bodyStyleLabel(d[schema.bodyStyle]))}<br>` : "") +
+                `${escapeHtml(columnLabel(schema.height))}: ${format(heightOf(d))}<br>` +
+                `${escapeHtml(columnLabel(schema.weight))}: ${format(statValue(d, schema.weight))}<br>` +
+                (metric.power ? `${metric.label}: ${format(metricValue(d))}<br>` : "") +
+                (fit ? `${residualText(d)}${isOutlier(d) ? " (outlier)" : ""}<br>` : "") +
+                "<em>Click for details, shift-click to compare</em>")
+            .style("left", (event.pageX + 10) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    // Click for details, shift-click to compare
+    function activatePoint(event, d) {
+        if (event.shiftKey) {
+            togglePin(d);
+        } else {
+            focusPokemon(d);
+        }
+    }
+    
+    // Left and right step through the points by height, up and down by the metric
+    function pointOrder(value) {
+        return (a, b) => value(a) - value(b) || d3.ascending(rowName(a), rowName(b));
+    }
+    
+    const keyboard = keyboardMarks({
+        key: rowKey,
+        label: d => [rowName(d),
+            schema.bodyStyle ? bodyStyleLabel(d[schema.bodyStyle]) : null,
+            `${columnLabel(schema.height)} ${format(heightOf(d))}`,
+            `${metricLabel()} ${format(metricValue(d))}`,
+            fit ? residualText(d) : null]
+            .filter(Boolean).join(", ") +
+            (isOutlier(d) ? ", outlier" : "") +
+            (d === selection.focus ? ", shown in details" : "") +
+            (isPinned(d) ? ", pinned" : ""),
+        next: (d, key, points) => {
+            if (key === "ArrowLeft" || key === "ArrowRight" || key === "Home" || key === "End") {
+                return stepThrough(points.slice().sort(pointOrder(heightOf)), d, key, "ArrowLeft", "ArrowRight");
+            }
+            return stepThrough(points.slice().sort(pointOrder(metricValue)), d, key, "ArrowDown", "ArrowUp");
+        },
+        activate: activatePoint,
+        show: showPointTooltip,
+        hide: () => tooltip.style("opacity", 0)
+    });
+    
+    // Body style legend - clicking an entry filters every chart to that body style
+    const legend = svg.append("g")
+        .attr("class", "size-legend")
+        .attr("transform", `translate(${plotWidth + 20}, 0)`);
+    
+    if (schema.bodyStyle) {
+        legend.append("text")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .text(columnLabel(schema.bodyStyle));
+    }
+    
+    const legendItems = legend.selectAll(".size-legend-item")
+        .data(bodyStyles)
+        .enter()
+        .append("g")
+        .attr("class", "size-legend-item")
+        .attr("transform", (style, i) => `translate(0, ${i * 15 + 15})`)
+        .style("cursor", "pointer")
+        .on("click", (event, style) => {
+            // Clicking the picked body style again clears it
+            updateSelection({bodyStyle: selection.bodyStyle === style ? null : style});
+        })
+        .call(keyboardClickable);
+    
+    legendItems.append("circle")
+        .attr("cx", 5)
+        .attr("cy", -4)
+        .attr("r", 5);
+    
+    legendItems.append("text")
+        .attr("x", 15)
+        .style("font-size", "11px")
+        .text(bodyStyleLabel);
+    
+    // Residual color ramp, shown in the residual color mode
+    const residualLegend = svg.append("g")
+        .attr("class", "residual-legend")
+        .attr("transform", `translate(${plotWidth + 20}, ${height - 25})`);
+    
+    residualLegend.append("defs")
+        .append("linearGradient")
+        .attr("id", `residual-gradient-${id}`)
+        .selectAll("stop")
+        .data(d3.range(0, 1.01, 0.25))
+        .enter()
+        .append("stop")
+        .attr("offset", t => `${t * 100}%`)
+        .attr("stop-color", t => d3.interpolateRdBu(1 - t));
+    
+    residualLegend.append("rect")
+        .attr("width", 100)
+        .attr("height", 10)
+        .attr("fill", `url(#residual-gradient-${id})`);
+    
+    residualLegend.selectAll(".residual-legend-label")
+        .data(["Lighter", "Heavier"])
+        .enter()
+        .append("text")
+        .attr("class", "residual-legend-label")
+        .attr("x", (label, i) => i * 100)
+        .attr("y", 22)
+        .attr("text-anchor", (label, i) => i ? "end" : "start")
+        .style("font-size", "10px")
+        .text(label => label);
+    
+    function updateLegend() {
+        legendItems
+            .attr("aria-label", style => `Filter to ${bodyStyleLabel(style)}`)
+            .attr("aria-pressed", style => selection.bodyStyle === style)
+            .style("opacity", style => !selection.bodyStyle || selection.bodyStyle === style ? 1 : 0.35);
+        legendItems.select("circle")
+            .attr("fill", bodyStyleColor)
+            .attr("stroke", style => selection.bodyStyle === style ? "#222" : null);
+        legendItems.select("text")
+            .style("font-weight", style => selection.bodyStyle === style ? "bold" : null);
+        residualLegend.style("display", colorMode === "residual" ? null : "none");
+        clearButton.property("disabled", !selection.bodyStyle);
+    }
+    
+    function updateOutlines() {
+        pointsGroup.selectAll(".size-point")
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth);
+        updateKeyboard();
+    }
+    
+    // Points still on the chart (not the ones fading out) take part in keyboard navigation
+    function updateKeyboard() {
+        const plotted = new Set(plottedData);
+        keyboard(pointsGroup.selectAll(".size-point").filter(d => plotted.has(d)));
+    }
+    
+    // Redraw the Pokemon passing the filters (the body style among them) and refit the
+    // line to the ones inside the brushes
+    function updateChart() {
+        updateScales();
+        plottedData = data.filter(d => matchesTypes(d) && hasPosition(d));
+        fit = fitPowerLaw(hasBrushes() ? plottedData.filter(matchesBrushes) : plottedData);
+        if (fit) residualColor.domain([2.5 * fit.spread, 0, -2.5 * fit.spread]);
+        
+        xAxisGroup.transition()
+            .duration(500)
+            .call(d3.axisBottom(x).ticks(5, "~g"));
+        yAxisGroup.transition()
+            .duration(500)
+            .call(d3.axisLeft(y).ticks(5, "~g"));
+        yLabel.text(`${metricLabel()} (log scale)`);
+        
+        const [x0, x1] = x.domain();
+        const fitAt = h => Math.pow(10, fit.intercept + fit.slope * Math.log10(h));
+        fitLine.style("display", fit ? null : "none");
+        if (fit) {
+            fitLine.transition()
+                .duration(500)
+                .attr("x1", x(x0))
+                .attr("y1", y(fitAt(x0)))
+                .attr("x2", x(x1))
+                .attr("y2", y(fitAt(x1)));
+        }
+        fitText.text(fit
+            ? `Fit: ${metricLabel()} \u221d height^${d3.format(".2f")(fit.slope)}, ` +
+                `R\u00b2 = ${d3.format(".2f")(fit.r2)}, ${fit.count} ${schema.itemLabel}`
+            : `Too few ${schema.itemLabel} to fit a line`);
+        
+        pointsGroup.selectAll(".size-point")
+            .data(plottedData, rowKey)
+            .join(
+                enter => enter.append("circle")
+                    .attr("class", "size-point")
+                    .attr("cx", d => x(heightOf(d)))
+                    .attr("cy", d => y(metricValue(d)))
+                    .attr("r", 0)
+                    .style("cursor", "pointer")
+                    .on("mouseover", showPointTooltip)
+                    .on("mousemove", showPointTooltip)
+                    .on("mouseout", () => tooltip.style("opacity", 0))
+                    .on("click", activatePoint),
+                update => update,
+                exit => exit.transition()
+                    .duration(500)
+                    .attr("r", 0)
+                    .remove()
+            )
+            .attr("stroke", pointStroke)
+            .attr("stroke-width", pointStrokeWidth)
+            .transition()
+            .duration(500)
+            .attr("cx", d => x(heightOf(d)))
+            .attr("cy", d => y(metricValue(d)))
+            .attr("r", pointRadius)
+            .attr("fill", pointColor)
+            .attr("opacity", pointOpacity);
+        
+        // Outlined points on top, so the outliers aren't hidden behind their neighbours
+        pointsGroup.selectAll(".size-point")
+            .filter(d => isOutlier(d) || d === selection.focus || isPinned(d))
+            .raise();
+        
+        updateLegend();
+        updateKeyboard();
+        svgRoot.attr("aria-label", `Log-log plot of ${metricLabel()} against ${columnLabel(schema.height)}, ` +
+            `${plottedData.length} ${schema.itemLabel} - use the arrow keys to move between points`);
+        refreshTable();
+    }
+    
+    // The plotted Pokemon with their size metrics and residuals
+    const refreshTable = dataTable(root, state, () => ({
+        caption: `${metricLabel()} against ${columnLabel(schema.height)}, ` +
+            `${plottedData.length} ${schema.itemLabel}`,
+        columns: [
+            {label: "Name", value: rowName},
+            schema.bodyStyle && {label: columnLabel(schema.bodyStyle), value: d => bodyStyleLabel(d[schema.bodyStyle])},
+            {label: columnLabel(schema.height), value: d => format(heightOf(d))},
+            {label: columnLabel(schema.weight), value: d => format(statValue(d, schema.weight))},
+            metric.power && {label: metric.label, value: d => format(metricValue(d))},
+            fit && {label: "Residual", value: d => residualText(d) + (isOutlier(d) ? " (outlier)" : "")}
+        ].filter(Boolean),
+        rows: [...plottedData].sort((a, b) => d3.ascending(rowName(a), rowName(b)))
+    }));
+    
+    updateChart();
+    
+    // Follow the filters and brushes, and outline the focused and pinned Pokemon
+    listen("change.size", updateChart);
+    listen("focus.size", updateOutlines);
+    listen("pin.size", updateOutlines);
+}
@@ -0,0 +1,150 @@
+// 9. URL State - the types, brushes, encodings, axes and pins of a model kept in the URL
+// hash, so a view can be bookmarked or shared and back/forward step through changes.
+//
+// createUrlState(model) applies the state already in the hash, then writes every change
+// of the model's selection and view into it. Its destroy() writes a change still waiting
+// to be written and stops following the model, so a dashboard rebuilt from the same
+// dataset (or a new one) starts from the state on screen.
+
+import {missingPolicies} from "./dataset.js";
+
+// Delay before a change is written, so a burst of changes (e.g. a brush drag) is one entry
+const writeDelay = 250;
+
+export function createUrlState(model) {
+    const {data, schema, allTypes, rowName, rowKey, selection, selectionEvents, maxPinned, view,
+        viewChanged, updateSelection, focusPokemon, setPinned} = model;
+    
+    // Pokemon are written by name when names are unique, by row number otherwise
+    const names = data.map(rowName);
+    const byName = new Set(names).size === names.length;
+    const rowId = d => byName ? rowName(d) : String(rowKey(d));
+    const rowsById = new Map(data.map(d => [rowId(d), d]));
+    const findRows = ids => ids.map(id => rowsById.get(id)).filter(Boolean);
+    
+    // Columns each scatter channel and the parallel axes can show, as their charts offer them
+    const channelColumns = {
+        x: schema.numeric,
+        y: schema.numeric,
+        size: schema.numeric,
+        color: schema.colorColumns
+    };
+    const encodingChannels = Object.keys(channelColumns);
+    const axisColumns = [...new Set([...schema.numeric, ...schema.axisCategories])];
+    const list = value => value ? value.split(",") : [];
+    let restoring = false;
+    let pending = null;
+    
+    // Current state as a hash string, leaving out anything at its default
+    function serialize() {
+        const params = new URLSearchParams();
+        if (selection.types.length) params.set("types", selection.types.join(","));
+        if (selection.typePair) params.set("pair", selection.typePair.join(","));
+        Object.entries(selection.brushes).forEach(([dim, range]) => {
+            params.set(`brush.${dim}`, range.categories
+                ? range.categories.join("|")
+                : range.map(v => +v.toFixed(2)).join(","));
+        });
+        encodingChannels.forEach(channel => {
+            if (view.encoding[channel] !== schema.encoding[channel]) {
+                params.set(channel, view.encoding[channel]);
+            }
+        });
+        if (view.dimensions.join() !== schema.dimensions.join()) {
+            params.set("axes", view.dimensions.join(","));
+        }
+        if (selection.pinned.length) params.set("pin", selection.pinned.map(rowId).join(","));
+        if (selection.focus) params.set("focus", rowId(selection.focus));
+        if (selection.missing !== "exclude") params.set("missing", selection.missing);
+        if (selection.megaOnly) params.set("mega", "1");
+        if (selection.bodyStyle) params.set("body", selection.bodyStyle);
+        
+        const hash = params.toString();
+        return hash ? `#${hash}` : "";
+    }
+    
+    // Push a history entry for the current state, if it changed
+    function write() {
+        pending = null;
+        const hash = serialize();
+        if (hash !== window.location.hash) {
+            history.pushState(null, "", hash || window.location.pathname + window.location.search);
+        }
+    }
+    
+    // Write once a burst of changes settles
+    function scheduleWrite() {
+        if (restoring) return;
+        clearTimeout(pending);
+        pending = setTimeout(write, writeDelay);
+    }
+    
+    // Apply the state in the hash, ignoring values this dataset or its charts do not have
+    function restore() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        restoring = true;
+        
+        const encoding = {...schema.encoding};
+        encodingChannels.forEach(channel => {
+            const column = params.get(channel);
+            if (column && channelColumns[channel].includes(column)) encoding[channel] = column;
+        });
+        const axes = list(params.get("axes")).filter(dim => axisColumns.includes(dim));
+        view.encoding = encoding;
+        view.dimensions = axes.length >= 2 ? axes : [...schema.dimensions];
+        viewChanged();
+        
+        const brushes = {};
+        params.forEach((value, key) => {
+            const dim = key.slice("brush.".length);
+            if (!key.startsWith("brush.") || !axisColumns.includes(dim)) return;
+            if (schema.axisCategories.includes(dim)) {
+                brushes[dim] = {categories: value.split("|")};
+            } else {
+                const range = list(value).map(Number);
+                if (range.length === 2 && !range.some(isNaN)) brushes[dim] = range.sort(d3.ascending);
+            }
+        });
+        const pair = list(params.get("pair"));
+        const missing = params.get("missing");
+        const bodyStyle = params.get("body");
+        updateSelection({
+            types: list(params.get("types")).filter(type => allTypes.includes(type)),
+            typePair: pair.length === 2 ? pair : null,
+            brushes,
+            missing: missingPolicies.some(p => p.key === missing) ? missing : "exclude",
+            megaOnly: Boolean(schema.mega) && params.get("mega") === "1",
+            bodyStyle: schema.bodyStyle && data.some(d => d[schema.bodyStyle] === bodyStyle) ? bodyStyle : null
+        });
+        
+        setPinned(findRows(list(params.get("pin"))).slice(0, maxPinned));
+        focusPokemon(findRows([params.get("focus")])[0] || null);
+        
+        restoring = false;
+    }
+    
+    selectionEvents.on("change.url", scheduleWrite);
+    selectionEvents.on("pin.url", scheduleWrite);
+    selectionEvents.on("focus.url", scheduleWrite);
+    selectionEvents.on("view.url", scheduleWrite);
+    
+    d3.select(window).on("popstate.url", () => {
+        clearTimeout(pending);
+        pending = null;
+        restore();
+    });
+    
+    if (window.location.hash) restore();
+    
+    // Write what is still waiting and stop following the model
+    function destroy() {
+        if (pending !== null) {
+            clearTimeout(pending);
+            write();
+        }
+        ["change", "pin", "focus", "view"].forEach(type => selectionEvents.on(`${type}.url`, null));
+        d3.select(window).on("popstate.url", null);
+    }
+    
+    return {destroy};
+}